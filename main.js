@@ -1,984 +1,7966 @@
-// Global variables
-let canvas;
-let gl;
-let a_Position;
-let a_Color;
-let u_PointSize;
-let shapesList = []; // List of all shapes to draw
-let currentShapeType = 'point'; // Current shape type: 'point', 'triangle', or 'circle'
-let isMouseDown = false;
-let lastMousePos = { x: 0, y: 0 };
-let rainbowMode = false;
-let rainbowOffset = 0;
-
-// Class for generic Shape
-class Shape {
-    constructor(type, vertices, color, size = 10, segments = 12, alpha = 1.0) {
-        this.type = type;
-        this.vertices = vertices;
-        this.color = color;
-        this.size = size;
-        this.segments = segments;
-        this.alpha = alpha;
-    }
-
-    render() {
-        // This will be overridden by subclasses
-    }
-}
-
-// Point shape
-class Point extends Shape {
-    constructor(x, y, color, size, alpha = 1.0) {
-        super('point', [[x, y]], color, size, 0, alpha);
-    }
-
-    render() {
-        const rgba = [...this.color, this.alpha];
-        
-        gl.vertexAttrib3f(a_Position, this.vertices[0][0], this.vertices[0][1], 0.0);
-        gl.vertexAttrib4f(a_Color, rgba[0], rgba[1], rgba[2], rgba[3]);
-        gl.uniform1f(u_PointSize, this.size);
-        gl.drawArrays(gl.POINTS, 0, 1);
-    }
-}
-
-// Triangle shape
-class Triangle extends Shape {
-    constructor(vertices, color, size, alpha = 1.0) {
-        super('triangle', vertices, color, size, 0, alpha);
-    }
-
-    render() {
-        const rgba = [...this.color, this.alpha];
-        
-        // Create buffer object
-        const vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-        
-        // Set vertex data
-        const verticesFlat = this.vertices.flat();
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verticesFlat), gl.STATIC_DRAW);
-        
-        // Assign buffer to a_Position and enable it
-        gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(a_Position);
-        
-        // Set color for all vertices
-        gl.vertexAttrib4f(a_Color, rgba[0], rgba[1], rgba[2], rgba[3]);
-        
-        // Draw the triangle
-        gl.drawArrays(gl.TRIANGLES, 0, 3);
-        
-        // Clean up
-        gl.disableVertexAttribArray(a_Position);
-        gl.deleteBuffer(vertexBuffer);
-    }
-}
-
-// Circle shape
-class Circle extends Shape {
-    constructor(x, y, color, size, segments = 12, alpha = 1.0) {
-        super('circle', [[x, y]], color, size, segments, alpha);
-    }
-
-    render() {
-        const rgba = [...this.color, this.alpha];
-        const centerX = this.vertices[0][0];
-        const centerY = this.vertices[0][1];
-        const radius = this.size / 100; // Scale size to a reasonable radius
-        const segments = this.segments;
-        
-        // Create vertices for triangle fan
-        const circleVertices = [[centerX, centerY]]; // Center point
-        
-        for (let i = 0; i <= segments; i++) {
-            const angle = i * 2 * Math.PI / segments;
-            const x = centerX + radius * Math.cos(angle);
-            const y = centerY + radius * Math.sin(angle);
-            circleVertices.push([x, y]);
-        }
-        
-        // Create buffer object
-        const vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-        
-        // Set vertex data
-        const verticesFlat = circleVertices.flat();
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verticesFlat), gl.STATIC_DRAW);
-        
-        // Assign buffer to a_Position and enable it
-        gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(a_Position);
-        
-        // Set color for all vertices
-        gl.vertexAttrib4f(a_Color, rgba[0], rgba[1], rgba[2], rgba[3]);
-        
-        // Draw the triangle fan
-        gl.drawArrays(gl.TRIANGLE_FAN, 0, circleVertices.length);
-        
-        // Clean up
-        gl.disableVertexAttribArray(a_Position);
-        gl.deleteBuffer(vertexBuffer);
-    }
-}
-
-// Line segment for continuous drawing
-class Line extends Shape {
-    constructor(startX, startY, endX, endY, color, size, alpha = 1.0) {
-        super('line', [[startX, startY], [endX, endY]], color, size, 0, alpha);
-    }
-    
-    render() {
-        const rgba = [...this.color, this.alpha];
-        
-        // Create buffer object
-        const vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-        
-        // Set vertex data
-        const verticesFlat = this.vertices.flat();
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verticesFlat), gl.STATIC_DRAW);
-        
-        // Assign buffer to a_Position and enable it
-        gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(a_Position);
-        
-        // Set color and line width
-        gl.vertexAttrib4f(a_Color, rgba[0], rgba[1], rgba[2], rgba[3]);
-        gl.lineWidth(this.size);
-        
-        // Draw the line
-        gl.drawArrays(gl.LINES, 0, 2);
-        
-        // Clean up
-        gl.disableVertexAttribArray(a_Position);
-        gl.deleteBuffer(vertexBuffer);
-    }
-}
-
-// Initialize WebGL
-function setupWebGL() {
-    // Get canvas element
-    canvas = document.getElementById('canvas');
-    
-    // Get WebGL context
-    gl = canvas.getContext('webgl', { preserveDrawingBuffer: true });
-    if (!gl) {
-        console.error('Failed to get WebGL context');
-        return;
-    }
-    
-    // Set clear color
-    gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    
-    // Enable alpha blending
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    
-    // Clear canvas
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    
-    return gl;
-}
-
-// Compile shaders and connect variables
-function connectVariablesToGLSL() {
-    // Get shader elements
-    const vsSource = document.getElementById('vertex-shader').textContent;
-    const fsSource = document.getElementById('fragment-shader').textContent;
-    
-    // Initialize shaders
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vsSource);
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fsSource);
-    
-    // Create program and attach shaders
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
-    
-    // Check if linking succeeded
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error('Failed to link program: ' + gl.getProgramInfoLog(program));
-        gl.deleteProgram(program);
-        return;
-    }
-    
-    // Use program
-    gl.useProgram(program);
-    
-    // Get attribute and uniform locations
-    a_Position = gl.getAttribLocation(program, 'a_Position');
-    a_Color = gl.getAttribLocation(program, 'a_Color');
-    u_PointSize = gl.getUniformLocation(program, 'u_PointSize');
-    
-    return program;
-}
-
-// Compile shader helper function
-function compileShader(gl, type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    
-    // Check if compilation succeeded
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Shader compilation failed: ' + gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
-    }
-    
-    return shader;
-}
-
-// Convert canvas coordinates to WebGL coordinates
-function canvasToGLCoord(x, y) {
-    const rect = canvas.getBoundingClientRect();
-    const canvasX = x - rect.left;
-    const canvasY = y - rect.top;
-    
-    // Convert to WebGL coordinates (-1 to 1)
-    const glX = (canvasX / canvas.width) * 2 - 1;
-    const glY = -(canvasY / canvas.height) * 2 + 1;
-    
-    return { x: glX, y: glY };
-}
-
-// Handle click/draw events
-function handleMouseEvent(event, isMove = false) {
-    // Get current settings
-    const red = parseFloat(document.getElementById('redSlider').value);
-    const green = parseFloat(document.getElementById('greenSlider').value);
-    const blue = parseFloat(document.getElementById('blueSlider').value);
-    const alpha = parseFloat(document.getElementById('alphaSlider').value);
-    const size = parseInt(document.getElementById('sizeSlider').value);
-    const segments = parseInt(document.getElementById('segmentsSlider').value);
-    
-    // Get color (with potential rainbow mode)
-    let color = [red, green, blue];
-    if (rainbowMode) {
-        color = getRainbowColor();
-        rainbowOffset += 0.02;
-    }
-    
-    // Get coordinates
-    const coords = canvasToGLCoord(event.clientX, event.clientY);
-    
-    // If it's a move and mouse is down, we need to handle continuous drawing
-    if (isMove && isMouseDown) {
-        const currentPos = coords;
-        
-        // Calculate direction for oriented shapes
-        const dx = currentPos.x - lastMousePos.x;
-        const dy = currentPos.y - lastMousePos.y;
-        const distance = Math.sqrt(dx*dx + dy*dy);
-        
-        // Adjust minimum distance based on shape type
-        let minDistance = 0.005; // Default minimum distance
-        
-        if (currentShapeType === 'triangle') {
-            // Increase minimum distance for triangles to avoid overcrowding
-            minDistance = 0.03; // Adjust this value as needed
-        }
-        
-        // Only add a shape if we've moved a minimum distance (prevents too many shapes)
-        if (distance > minDistance) {
-            // For continuous line drawing
-            if (currentShapeType === 'point') {
-                // Create line for continuous point drawing
-                shapesList.push(new Line(
-                    lastMousePos.x, lastMousePos.y,
-                    currentPos.x, currentPos.y,
-                    color, size / 10, alpha
-                ));
-            }
-            
-            // Add the main shape based on current type
-            addShape(currentPos.x, currentPos.y, color, size, segments, alpha, dx, dy);
-            
-            // Update last position
-            lastMousePos = { ...currentPos };
-            
-            // Render all shapes
-            renderAllShapes();
-        }
-    } else {
-        // For single clicks, just add the shape
-        addShape(coords.x, coords.y, color, size, segments, alpha);
-        lastMousePos = { ...coords };
-        
-        // Render all shapes
-        renderAllShapes();
-    }
-}
-
-// Add shape based on current shape type
-function addShape(x, y, color, size, segments, alpha, dx = 0, dy = 0) {
-    switch (currentShapeType) {
-        case 'point':
-            shapesList.push(new Point(x, y, color, size, alpha));
-            break;
-        case 'triangle':
-            // If we have direction info (from mouse drag), orient the triangle
-            if (dx !== 0 || dy !== 0) {
-                // Calculate perpendicular direction and normalize it
-                const magnitude = Math.sqrt(dx*dx + dy*dy);
-                const normalizedDx = dx / magnitude;
-                const normalizedDy = dy / magnitude;
-                
-                const perpX = -normalizedDy;
-                const perpY = normalizedDx;
-                
-                // Create oriented triangle vertices with fixed size (not dependent on dx/dy magnitude)
-                const triSize = size / 100;
-                const vertices = [
-                    [x, y], // Tip of the triangle
-                    [x - triSize * normalizedDx + triSize * perpX, y - triSize * normalizedDy + triSize * perpY],
-                    [x - triSize * normalizedDx - triSize * perpX, y - triSize * normalizedDy - triSize * perpY]
-                ];
-                
-                shapesList.push(new Triangle(vertices, color, size, alpha));
-            } else {
-                // For a simple click, create an equilateral triangle
-                const sideLength = size / 100;
-                const height = sideLength * Math.sqrt(3) / 2;
-                
-                const vertices = [
-                    [x, y + height/2],
-                    [x - sideLength/2, y - height/2],
-                    [x + sideLength/2, y - height/2]
-                ];
-                
-                shapesList.push(new Triangle(vertices, color, size, alpha));
-            }
-            break;
-        case 'circle':
-            shapesList.push(new Circle(x, y, color, size, segments, alpha));
-            break;
-    }
-}
-
-// Render all shapes
-function renderAllShapes() {
-    // Clear canvas
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    
-    // Render each shape
-    for (const shape of shapesList) {
-        shape.render();
-    }
-}
-
-// Get rainbow color based on position and time
-function getRainbowColor() {
-    return [
-        Math.sin(rainbowOffset) * 0.5 + 0.5,
-        Math.sin(rainbowOffset + 2) * 0.5 + 0.5,
-        Math.sin(rainbowOffset + 4) * 0.5 + 0.5
-    ];
-}
-
-// Modify or replace your existing drawPicture() function
-function drawPicture() {
-    // Clear out any existing shapes on the canvas.
-    shapesList = [];
-
-    // Option 1: Randomly pick a scene each time.
-    const sceneChoice = Math.floor(Math.random() * 4); 
-    // 0 => Forest scene
-    // 1 => Beach scene
-    // 2 => Mountain scene
-    // 3 => Moonlit scene
-
-    switch(sceneChoice) {
-        case 0:
-            drawForestScene();
-            break;
-        case 1:
-            drawBeachScene();
-            break;
-        case 2:
-            drawMountainScene();
-            break;
-        case 3:
-            drawMoonlitScene();
-            break;
-    }
-
-    // Finally, render all shapes on the canvas
-    renderAllShapes();
-}
-
-/***********************
- * HELPER SCENE FUNCTIONS
- ***********************/
-
-/** 
- * 1) Example: Forest Scene
- *    Similar to your original tree scene, but we'll add 
- *    a couple of extra trees or variations.
- */
-function drawForestScene() {
-    // Sky
-    shapesList.push(new Triangle(
-        [[-1.0, 1.0], [1.0, 1.0], [-1.0, -0.3]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, 1.0], [1.0, -0.3], [-1.0, -0.3]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-
-    // Ground
-    shapesList.push(new Triangle(
-        [[-1.0, -0.3], [1.0, -0.3], [-1.0, -1.0]],
-        [0.4, 0.8, 0.3], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, -1.0], [1.0, -0.3], [-1.0, -1.0]],
-        [0.4, 0.8, 0.3], 10, 1.0
-    ));
-
-    // Tree 1 (center)
-    drawSimpleTree(0.0, -0.3);
-
-    // Tree 2 (left)
-    drawSimpleTree(-0.6, -0.3);
-
-    // Tree 3 (right)
-    drawSimpleTree(0.6, -0.3);
-
-    // Optional: Clouds or birds
-    // Clouds
-    const cloudColor = [1.0, 1.0, 1.0];
-    shapesList.push(new Circle(-0.7, 0.7, cloudColor, 25, 16, 0.8));
-    shapesList.push(new Circle(-0.5, 0.7, cloudColor, 30, 16, 0.8));
-    
-    // Birds
-    const birdColor = [0.3, 0.3, 0.3];
-    shapesList.push(new Triangle(
-        [[-0.8, 0.4], [-0.7, 0.5], [-0.9, 0.5]],
-        birdColor, 10, 0.7
-    ));
-    shapesList.push(new Triangle(
-        [[-0.6, 0.4], [-0.7, 0.5], [-0.8, 0.4]],
-        birdColor, 10, 0.7
-     ));
-}
-
-/**
- * 2) Beach Scene
- *    Includes sky, ocean, and sand, plus a sun or palm tree.
- */
-function drawBeachScene() {
-    // Sky
-    shapesList.push(new Triangle(
-        [[-1.0, 1.0], [1.0, 1.0], [-1.0, 0.0]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, 1.0], [1.0, 0.0], [-1.0, 0.0]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-
-    // Ocean (blue band)
-    shapesList.push(new Triangle(
-        [[-1.0, 0.0], [1.0, 0.0], [-1.0, -0.3]],
-        [0.2, 0.4, 0.8], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, -0.3], [1.0, 0.0], [-1.0, -0.3]],
-        [0.2, 0.4, 0.8], 10, 1.0
-    ));
-    
-    // Sand (light tan)
-    shapesList.push(new Triangle(
-        [[-1.0, -1.0], [1.0, -1.0], [-1.0, -0.3]],
-        [0.94, 0.86, 0.67], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, -0.3], [1.0, -1.0], [-1.0, -0.3]],
-        [0.94, 0.86, 0.67], 10, 1.0
-    ));
-
-    // Sun (Circle)
-    shapesList.push(new Circle(0.8, 0.8, [1.0, 0.9, 0.0], 30, 24, 1.0));
-
-    // Palm tree
-    const trunkColor = [0.6, 0.4, 0.2];
-    // Trunk
-    shapesList.push(new Triangle(
-        [[-0.6, -0.3], [-0.6, 0.0], [-0.5, 0.0]],
-        trunkColor, 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[-0.6, -0.3], [-0.5, -0.3], [-0.5, 0.0]],
-        trunkColor, 10, 1.0
-    ));
-    
-    // Palm leaves
-    const leafColor = [0.0, 0.6, 0.0];
-    shapesList.push(new Triangle(
-        [[-0.55, 0.0], [-0.8, 0.2], [-0.3, 0.2]],
-        leafColor, 10, 0.9
-    ));
-    shapesList.push(new Triangle(
-        [[-0.55, 0.0], [-0.9, 0.1], [-0.7, 0.0]],
-        leafColor, 10, 0.9
-    ));
-    shapesList.push(new Triangle(
-        [[-0.55, 0.0], [-0.2, 0.1], [-0.4, 0.0]],
-        leafColor, 10, 0.9
-    ));
-    shapesList.push(new Triangle(
-        [[-0.55, 0.0], [-0.7, -0.1], [-0.4, -0.1]],
-        leafColor, 10, 0.9
-    ));
-}
-
-/**
- * 3) Mountain Scene
- *    Overlapping triangles of different colors to create a mountain range.
- */
-function drawMountainScene() {
-    // Light sky background
-    shapesList.push(new Triangle(
-        [[-1.0, 1.0], [1.0, 1.0], [-1.0, -0.5]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, 1.0], [1.0, -0.5], [-1.0, -0.5]],
-        [0.6, 0.8, 1.0], 10, 1.0
-    ));
-
-    // Distant mountains
-    shapesList.push(new Triangle(
-        [[-1.0, -0.5], [-0.4, 0.4], [0.2, -0.5]],
-        [0.3, 0.3, 0.3], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[-0.2, -0.5], [0.5, 0.5], [1.0, -0.5]],
-        [0.35, 0.35, 0.35], 10, 1.0
-    ));
-
-    // Foreground ground
-    shapesList.push(new Triangle(
-        [[-1.0, -0.5], [1.0, -0.5], [-1.0, -1.0]],
-        [0.4, 0.7, 0.4], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, -1.0], [1.0, -0.5], [-1.0, -1.0]],
-        [0.4, 0.7, 0.4], 10, 1.0
-    ));
-    
-    // Snow caps
-    shapesList.push(new Triangle(
-        [[-0.48, 0.25], [-0.4, 0.4], [-0.32, 0.25]],
-        [1.0, 1.0, 1.0], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[0.42, 0.35], [0.5, 0.5], [0.58, 0.35]],
-        [1.0, 1.0, 1.0], 10, 1.0
-    ));
-    
-    // Add a small lake
-    shapesList.push(new Circle(0.0, -0.7, [0.1, 0.3, 0.8], 30, 24, 0.8));
-}
-
-/**
- * 4) Moonlit Scene
- *    Dark sky, moon, a few stars, maybe silhouettes of trees.
- */
-function drawMoonlitScene() {
-    // Dark sky
-    shapesList.push(new Triangle(
-        [[-1.0, 1.0], [1.0, 1.0], [-1.0, -1.0]],
-        [0.05, 0.05, 0.2], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, 1.0], [1.0, -1.0], [-1.0, -1.0]],
-        [0.05, 0.05, 0.2], 10, 1.0
-    ));
-
-    // Moon (white-yellow circle)
-    shapesList.push(new Circle(0.7, 0.7, [1.0, 0.95, 0.8], 40, 24, 1.0));
-
-    // Stars: small circles or points
-    shapesList.push(new Circle(-0.8, 0.9, [1.0, 1.0, 1.0], 5, 12, 1.0));
-    shapesList.push(new Circle(-0.2, 0.8, [1.0, 1.0, 1.0], 5, 12, 1.0));
-    shapesList.push(new Circle(0.2, 0.9, [1.0, 1.0, 1.0], 5, 12, 1.0));
-    shapesList.push(new Circle(0.9, 0.6, [1.0, 1.0, 1.0], 5, 12, 1.0));
-
-    // Silhouette ground
-    shapesList.push(new Triangle(
-        [[-1.0, -0.6], [1.0, -0.6], [-1.0, -1.0]],
-        [0.1, 0.1, 0.1], 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[1.0, -1.0], [1.0, -0.6], [-1.0, -1.0]],
-        [0.1, 0.1, 0.1], 10, 1.0
-    ));
-
-    // Silhouette trees
-    drawSimpleTree(-0.5, -0.6, [0.1, 0.1, 0.1], [0.1, 0.15, 0.1]);
-    drawSimpleTree(0.3, -0.6, [0.1, 0.1, 0.1], [0.1, 0.15, 0.1]);
-    drawSimpleTree(-0.2, -0.6, [0.1, 0.1, 0.1], [0.1, 0.15, 0.1]);
-    drawSimpleTree(0.7, -0.6, [0.1, 0.1, 0.1], [0.1, 0.15, 0.1]);
-}
-
-/**
- * Helper to draw a simple tree at (x, y). 
- * Optionally pass in color for trunk/foliage if you want variation.
- */
-function drawSimpleTree(x, y, trunkColor = [0.6, 0.4, 0.2], leavesColor = [0.2, 0.8, 0.2]) {
-    // Trunk (two triangles to form a rectangle)
-    shapesList.push(new Triangle(
-        [[x - 0.05, y], [x - 0.05, y + 0.2], [x + 0.05, y + 0.2]],
-        trunkColor, 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[x - 0.05, y], [x + 0.05, y,], [x + 0.05, y + 0.2]],
-        trunkColor, 10, 1.0
-    ));
-
-    // Foliage (three triangles, stacked)
-    shapesList.push(new Triangle(
-        [[x, y + 0.5], [x - 0.15, y + 0.2], [x + 0.15, y + 0.2]],
-        leavesColor, 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[x, y + 0.35], [x - 0.12, y + 0.15], [x + 0.12, y + 0.15]],
-        leavesColor, 10, 1.0
-    ));
-    shapesList.push(new Triangle(
-        [[x, y + 0.25], [x - 0.1, y + 0.05], [x + 0.1, y + 0.05]],
-        leavesColor, 10, 1.0
-    ));
-}
-
-// Function to save canvas as an image
-function saveCanvasAsImage() {
-    const link = document.createElement('a');
-    link.download = 'webgl-painting.png';
-    link.href = canvas.toDataURL('image/png');
-    link.click();
-}
-
-// Initialize everything when page loads
-window.onload = function() {
-    // Setup WebGL
-    gl = setupWebGL();
-    if (!gl) return;
-    
-    // Connect variables to GLSL
-    connectVariablesToGLSL();
-    
-    // Remove any existing mouse event listeners (if there are any)
-    canvas.removeEventListener('mousedown', null);
-    canvas.removeEventListener('mousemove', null);
-    canvas.removeEventListener('mouseup', null);
-    canvas.removeEventListener('mouseleave', null);
-
-    // Flag to track mouse state
-    isMouseDown = false;
-
-    // Setup fresh event listeners
-    canvas.addEventListener('mousedown', function(event) {
-        console.log("Mouse down - starting to draw");
-        isMouseDown = true;
-        handleMouseEvent(event);
-    });
-
-    canvas.addEventListener('mousemove', function(event) {
-        // Only draw when mouse is down
-        if (isMouseDown) {
-            console.log("Mouse move with button down - drawing");
-            handleMouseEvent(event, true);
-        } else {
-            console.log("Mouse move without button - not drawing");
-        }
-    });
-
-    canvas.addEventListener('mouseup', function() {
-        console.log("Mouse up - stopping drawing");
-        isMouseDown = false;
-    });
-
-    canvas.addEventListener('mouseleave', function() {
-        console.log("Mouse left canvas - stopping drawing");
-        isMouseDown = false;
-    });
-    
-    // Set up UI controls
-    document.getElementById('pointsBtn').addEventListener('click', function() {
-        currentShapeType = 'point';
-        updateButtonSelection('pointsBtn');
-    });
-    
-    document.getElementById('trianglesBtn').addEventListener('click', function() {
-        currentShapeType = 'triangle';
-        updateButtonSelection('trianglesBtn');
-    });
-    
-    document.getElementById('circlesBtn').addEventListener('click', function() {
-        currentShapeType = 'circle';
-        updateButtonSelection('circlesBtn');
-    });
-    
-    document.getElementById('clearCanvas').addEventListener('click', function() {
-        shapesList = [];
-        renderAllShapes();
-    });
-    
-    document.getElementById('drawPicture').addEventListener('click', function() {
-        drawPicture();
-        
-        // Show the reference image section
-        document.getElementById('inspirationImage').style.display = 'block';
-        
-        // Use full URLs since these work when directly entered
-        document.getElementById('lineDrawingReference').src = "https://slugcodeprojects2024.github.io/webgl-painting/Frylock%20linework.jpg";
-        document.getElementById('colorReference').src = "https://slugcodeprojects2024.github.io/webgl-painting/Frylock%20reference.png";
-    });
-    
-    // Add event listeners for the advanced feature buttons
-    document.getElementById('downloadBtn').addEventListener('click', function() {
-        saveCanvasAsImage();
-    });
-    
-    document.getElementById('rainbowModeBtn').addEventListener('click', function() {
-        rainbowMode = !rainbowMode;
-        this.textContent = rainbowMode ? 'Disable Rainbow' : 'Rainbow Mode';
-        this.style.backgroundColor = rainbowMode ? '#FF4081' : '#4CAF50';
-    });
-    
-    // Setup slider value displays
-    setupSliderValueUpdates();
-    
-    // Initial render
-    renderAllShapes();
-};
-
-// Update slider value displays
-function setupSliderValueUpdates() {
-    const sliders = [
-        { slider: 'redSlider', value: 'redValue' },
-        { slider: 'greenSlider', value: 'greenValue' },
-        { slider: 'blueSlider', value: 'blueValue' },
-        { slider: 'sizeSlider', value: 'sizeValue' },
-        { slider: 'segmentsSlider', value: 'segmentsValue' },
-        { slider: 'alphaSlider', value: 'alphaValue' }
-    ];
-    
-    sliders.forEach(item => {
-        const slider = document.getElementById(item.slider);
-        const valueDisplay = document.getElementById(item.value);
-        
-        if (slider && valueDisplay) {
-            // Update initial value
-            valueDisplay.textContent = slider.value;
-            
-            // Add event listener for changes
-            slider.addEventListener('input', function() {
-                valueDisplay.textContent = this.value;
-            });
-        }
-    });
-}
-
-// Update button selection visual
-function updateButtonSelection(selectedBtnId) {
-    const buttons = ['pointsBtn', 'trianglesBtn', 'circlesBtn'];
-    buttons.forEach(btnId => {
-        document.getElementById(btnId).classList.remove('selected');
-    });
-    document.getElementById(selectedBtnId).classList.add('selected');
-}
-
-// Simple mini-game functionality
-document.getElementById('startGameBtn').addEventListener('click', function() {
-    alert("Starting Shape Catcher mini-game!");
-    
-    // Save current state to restore later
-    const savedShapes = [...shapesList];
-    
-    // Clear canvas for the game
-    shapesList = [];
-    renderAllShapes();
-    
-    // Game variables
-    let score = 0;
-    let gameTime = 30; // seconds
-    let gameActive = true;
-    let fallingShapes = [];
-    
-    // Create game UI
-    const gameUI = document.createElement('div');
-    gameUI.id = 'gameUI';
-    gameUI.style.position = 'absolute';
-    gameUI.style.top = '20px';
-    gameUI.style.left = '50%';
-    gameUI.style.transform = 'translateX(-50%)';
-    gameUI.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-    gameUI.style.color = 'white';
-    gameUI.style.padding = '10px';
-    gameUI.style.borderRadius = '5px';
-    gameUI.style.zIndex = '1000';
-    
-    const scoreDisplay = document.createElement('div');
-    scoreDisplay.textContent = 'Score: 0';
-    gameUI.appendChild(scoreDisplay);
-    
-    const timeDisplay = document.createElement('div');
-    timeDisplay.textContent = 'Time: 30s';
-    gameUI.appendChild(timeDisplay);
-    
-    document.body.appendChild(gameUI);
-    
-    // Create a basket
-    const basket = {
-        x: 0,
-        y: -0.8,
-        width: 0.2,
-        height: 0.1
-    };
-    
-    // Move basket with mouse
-    function moveBasket(event) {
-        if (!gameActive) return;
-        
-        const coords = canvasToGLCoord(event.clientX, event.clientY);
-        basket.x = coords.x;
-    }
-    
-    canvas.addEventListener('mousemove', moveBasket);
-    
-    // Spawn a falling shape
-    function spawnShape() {
-        const x = Math.random() * 1.8 - 0.9;
-        const y = 1.0;
-        
-        const r = Math.random();
-        const g = Math.random();
-        const b = Math.random();
-        
-        fallingShapes.push({
-            x: x,
-            y: y,
-            type: Math.random() > 0.5 ? 'circle' : 'triangle',
-            color: [r, g, b],
-            size: Math.random() * 15 + 5,
-            speed: Math.random() * 0.01 + 0.005
-        });
-    }
-    
-    // Update and render the game
-    function gameLoop() {
-        if (!gameActive) return;
-        
-        // Clear canvas
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        
-        // Draw basket
-        const basketVertices = [
-            [basket.x - basket.width/2, basket.y - basket.height/2],
-            [basket.x - basket.width/2, basket.y + basket.height/2],
-            [basket.x + basket.width/2, basket.y + basket.height/2],
-            
-            [basket.x - basket.width/2, basket.y - basket.height/2],
-            [basket.x + basket.width/2, basket.y + basket.height/2],
-            [basket.x + basket.width/2, basket.y - basket.height/2]
-        ];
-        
-        const vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(basketVertices.flat()), gl.STATIC_DRAW);
-        gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(a_Position);
-        gl.vertexAttrib4f(a_Color, 1.0, 1.0, 1.0, 1.0);
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        gl.disableVertexAttribArray(a_Position);
-        
-        // Update falling shapes
-        for (let i = fallingShapes.length - 1; i >= 0; i--) {
-            const shape = fallingShapes[i];
-            
-            // Move shape down
-            shape.y -= shape.speed;
-            
-            // Draw shape
-            if (shape.type === 'circle') {
-                new Circle(shape.x, shape.y, shape.color, shape.size, 12, 1.0).render();
-            } else {
-                const sideLength = shape.size / 100;
-                const height = sideLength * Math.sqrt(3) / 2;
-                
-                const vertices = [
-                    [shape.x, shape.y + height/2],
-                    [shape.x - sideLength/2, shape.y - height/2],
-                    [shape.x + sideLength/2, shape.y - height/2]
-                ];
-                
-                new Triangle(vertices, shape.color, shape.size, 1.0).render();
-            }
-            
-            // Check if caught by basket
-            if (shape.y <= basket.y + basket.height/2 && 
-                shape.y >= basket.y - basket.height/2 &&
-                shape.x >= basket.x - basket.width/2 &&
-                shape.x <= basket.x + basket.width/2) {
-                
-                // Caught! Add score
-                score += 10;
-                scoreDisplay.textContent = `Score: ${score}`;
-                
-                // Remove shape
-                fallingShapes.splice(i, 1);
-                continue;
-            }
-            
-            // Remove shapes that are off-screen
-            if (shape.y < -1.2) {
-                fallingShapes.splice(i, 1);
-            }
-        }
-        
-        // Occasionally spawn new shapes
-        if (Math.random() < 0.05) {
-            spawnShape();
-        }
-        
-        // Update game time
-        gameTime -= 1/60; // Assuming 60fps
-        if (gameTime <= 0) {
-            endGame();
-            return;
-        }
-        
-        timeDisplay.textContent = `Time: ${Math.ceil(gameTime)}s`;
-        
-        // Continue game loop
-        requestAnimationFrame(gameLoop);
-    }
-    
-    function endGame() {
-        gameActive = false;
-        
-        // Show final score
-        alert(`Game Over! Your score: ${score}`);
-        
-        // Remove game UI
-        document.body.removeChild(gameUI);
-        
-        // Remove event listener
-        canvas.removeEventListener('mousemove', moveBasket);
-        
-        // Restore previous canvas state
-        shapesList = savedShapes;
-        renderAllShapes();
-    }
-    
-    // Start the game loop
-    gameLoop();
+// Global variables
+let canvas;
+let gl;
+let a_Position;
+let a_Color;
+let a_Tip;
+let a_TexCoord;
+let u_ViewMatrix;
+let u_Texture;
+let paintProgram; // Draws shapes
+let compositeProgram; // Lays a finished layer over the ones below, see compositeLayer()
+let a_CompositePosition;
+let u_LayerTexture;
+let u_LayerOpacity;
+let compositeBuffer; // Full-screen quad for compositeProgram
+let layerTarget = null; // Texture each layer is drawn into before compositing, see getLayerTarget()
+let viewMatrix; // Painting to clip space, see computeViewMatrix()
+let camera = { x: 0, y: 0, zoom: 1 }; // Painting point at the center of the view, and magnification
+let panDrag = null; // Pan in progress, see startPan()
+let spaceHeld = false; // Space turns any drag into a pan
+let layers = []; // Layers from bottom to top, see createLayer()
+let activeLayerIndex = 0;
+let nextLayerId = 1;
+let layerBatches = new Map(); // Layer id -> ShapeBatch holding its shapes on the GPU
+let shapesList = []; // Shapes of the active layer; new shapes are pushed here
+let overlayBatch; // Editing aids drawn over the painting, rebuilt every frame
+let selectedShapes = []; // Shapes on the active layer picked with the select tool
+let selectionDrag = null; // Move/scale/rotate/rubber band in progress, see handleSelectMouseDown()
+let shapeToolDrag = null; // Rectangle/ellipse/N-gon/star being dragged out, see handleShapeToolDown()
+let polygonDraft = null; // Corners of the freeform polygon clicked so far
+let toolPreview = null; // Shape being dragged out, drawn as an overlay until it's committed
+let eraserDrag = null; // Eraser drag in progress, see handleEraserDown()
+let eraserHover = null; // Last pointer position over the canvas with the eraser tool
+let lineWidthRange = [1, 1]; // What gl.lineWidth() is clamped to on this device
+let currentShapeType = 'point'; // Current tool: 'point', 'triangle', 'circle', one of SHAPE_TOOLS, 'fill', 'eraser', 'eyedropper' or 'select'
+let isMouseDown = false;
+let activePointerId = null; // Pointer that is currently drawing, see setupCanvasInput()
+let lastPenTime = -Infinity; // Timestamp of the last pen event, for palm rejection
+let lastMousePos = { x: 0, y: 0 };
+let activeStroke = null; // Stroke being grown by the current point-mode drag
+let strokeStartPoint = null; // Point placed by the mousedown that began the drag
+let undoStack = []; // Snapshots of the layers to step back to
+let redoStack = []; // Snapshots that were undone and can be re-applied
+let gameRunning = false; // Shape Catcher has the canvas, see the mini-game at the end
+const MAX_HISTORY = 100;
+
+// Shape sizes are measured in pixels of the original 500x500 canvas
+const REFERENCE_CANVAS_SIZE = 500;
+
+// Convert a length in reference pixels to WebGL units
+function pixelsToGL(pixels) {
+    return pixels * 2 / REFERENCE_CANVAS_SIZE;
+}
+
+// Class for generic Shape
+class Shape {
+    constructor(type, vertices, color, size = 10, segments = 12, alpha = 1.0) {
+        this.type = type;
+        this.vertices = vertices;
+        this.color = color;
+        this.size = size;
+        this.segments = segments;
+        this.alpha = alpha;
+        // Optional fade from `color` to gradient.color, see colorAt()
+        this.gradient = null;
+    }
+
+    // Independent copy, so edits don't leak into undo history
+    clone() {
+        const copy = Object.create(Object.getPrototypeOf(this));
+        Object.assign(copy, this);
+        copy.vertices = this.vertices.map(v => [...v]);
+        copy.color = [...this.color];
+        if (this.gradient) {
+            copy.gradient = { ...this.gradient, color: [...this.gradient.color] };
+        }
+        if (this.dynamics) {
+            copy.dynamics = this.dynamics.map(d => [...d]);
+        }
+        return copy;
+    }
+
+    // Copy with every vertex passed through mapPoint(x, y) -> [x, y] and the size multiplied by `scale`
+    transformed(mapPoint, scale = 1) {
+        const copy = this.clone();
+        copy.vertices = this.vertices.map(([x, y]) => mapPoint(x, y));
+        copy.size *= scale;
+        if (copy.gradient && copy.gradient.type === 'linear') {
+            copy.gradient.from = mapPoint(...this.gradient.from);
+            copy.gradient.to = mapPoint(...this.gradient.to);
+        }
+        return copy;
+    }
+
+    /**
+     * Color of the corner at (x, y). With a 'linear' gradient it fades from
+     * `color` at gradient.from to gradient.color at gradient.to; a 'radial'
+     * one goes from `color` at the first vertex (a circle's center) to
+     * gradient.color everywhere else, so a triangle fan fades out to the rim.
+     */
+    colorAt(x, y) {
+        const gradient = this.gradient;
+        if (!gradient) return this.color;
+        
+        let t;
+        if (gradient.type === 'radial') {
+            const [cx, cy] = this.vertices[0];
+            t = x === cx && y === cy ? 0 : 1;
+        } else {
+            const [fx, fy] = gradient.from;
+            const dx = gradient.to[0] - fx;
+            const dy = gradient.to[1] - fy;
+            const lengthSq = dx * dx + dy * dy;
+            t = lengthSq === 0 ? 0 : Math.min(Math.max(((x - fx) * dx + (y - fy) * dy) / lengthSq, 0), 1);
+        }
+        return this.color.map((c, i) => c + (gradient.color[i] - c) * t);
+    }
+
+    // Flat [x0, y0, x1, y1, ...] list of triangle corners covering the shape.
+    // This will be overridden by subclasses
+    getTriangles() {
+        return [];
+    }
+
+    // Whether (x, y) lies on the shape; `tolerance` widens very thin shapes
+    containsPoint(x, y, tolerance = 0) {
+        const t = this.getTriangles();
+        for (let i = 0; i < t.length; i += 6) {
+            if (pointInTriangle(x, y, t[i], t[i + 1], t[i + 2], t[i + 3], t[i + 4], t[i + 5])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Axis-aligned box around everything the shape draws
+    getBounds() {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const extend = (x, y) => {
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        };
+        
+        const t = this.getTriangles();
+        for (let i = 0; i < t.length; i += 2) {
+            extend(t[i], t[i + 1]);
+        }
+        for (const [x, y] of this.vertices) {
+            extend(x, y);
+        }
+        return bounds;
+    }
+}
+
+// Whether (px, py) is inside the triangle (x1, y1), (x2, y2), (x3, y3), either winding
+function pointInTriangle(px, py, x1, y1, x2, y2, x3, y3) {
+    const d1 = (px - x2) * (y1 - y2) - (x1 - x2) * (py - y2);
+    const d2 = (px - x3) * (y2 - y3) - (x2 - x3) * (py - y3);
+    const d3 = (px - x1) * (y3 - y1) - (x3 - x1) * (py - y1);
+    
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(hasNegative && hasPositive);
+}
+
+// Shortest distance from (px, py) to the segment (x1, y1)-(x2, y2)
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    let t = 0;
+    if (lengthSquared > 0) {
+        t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+    }
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Point shape
+class Point extends Shape {
+    constructor(x, y, color, size, alpha = 1.0) {
+        super('point', [[x, y]], color, size, 0, alpha);
+    }
+
+    getTriangles() {
+        // Square of `size` pixels, the same footprint gl.POINTS would cover
+        const [x, y] = this.vertices[0];
+        const half = pixelsToGL(this.size) / 2;
+        
+        return [
+            x - half, y - half,  x + half, y - half,  x + half, y + half,
+            x - half, y - half,  x + half, y + half,  x - half, y + half
+        ];
+    }
+}
+
+// Triangle shape
+class Triangle extends Shape {
+    constructor(vertices, color, size, alpha = 1.0) {
+        super('triangle', vertices, color, size, 0, alpha);
+    }
+
+    getTriangles() {
+        return this.vertices.flat();
+    }
+}
+
+// Circle shape
+class Circle extends Shape {
+    constructor(x, y, color, size, segments = 12, alpha = 1.0) {
+        super('circle', [[x, y]], color, size, segments, alpha);
+    }
+
+    getTriangles() {
+        const centerX = this.vertices[0][0];
+        const centerY = this.vertices[0][1];
+        const radius = this.size / 100; // Scale size to a reasonable radius
+        const segments = this.segments;
+        
+        // One wedge per segment, fanning out from the center
+        const triangles = [];
+        let prevX = centerX + radius;
+        let prevY = centerY;
+        
+        for (let i = 1; i <= segments; i++) {
+            const angle = i * 2 * Math.PI / segments;
+            const x = centerX + radius * Math.cos(angle);
+            const y = centerY + radius * Math.sin(angle);
+            triangles.push(centerX, centerY, prevX, prevY, x, y);
+            prevX = x;
+            prevY = y;
+        }
+        
+        return triangles;
+    }
+}
+
+// Line segment for continuous drawing
+class Line extends Shape {
+    constructor(startX, startY, endX, endY, color, size, alpha = 1.0) {
+        super('line', [[startX, startY], [endX, endY]], color, size, 0, alpha);
+    }
+    
+    getTriangles() {
+        const [[x1, y1], [x2, y2]] = this.vertices;
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) return [];
+        
+        // Match the width gl.lineWidth() would have drawn on this device
+        const width = Math.min(Math.max(this.size, lineWidthRange[0]), lineWidthRange[1]);
+        const half = pixelsToGL(width) / 2;
+        
+        // Offset both ends sideways to make a thin quad
+        const nx = -(y2 - y1) / length * half;
+        const ny = (x2 - x1) / length * half;
+        
+        return [
+            x1 + nx, y1 + ny,  x1 - nx, y1 - ny,  x2 - nx, y2 - ny,
+            x1 + nx, y1 + ny,  x2 - nx, y2 - ny,  x2 + nx, y2 + ny
+        ];
+    }
+
+    containsPoint(x, y, tolerance = 0) {
+        const [[x1, y1], [x2, y2]] = this.vertices;
+        return distanceToSegment(x, y, x1, y1, x2, y2) <= Math.max(pixelsToGL(this.size) / 2, tolerance);
+    }
+}
+
+// [size scale, alpha scale] at vertex `i` of a stroke, 1 for both unless it has dynamics
+function vertexDynamics(stroke, i) {
+    return stroke.dynamics ? stroke.dynamics[i] : [1, 1];
+}
+
+/**
+ * Add (x, y) to the end of `stroke` in place, with its size and alpha
+ * scaled there. Only the stroke being drawn grows like this: it was added
+ * after the undo snapshot, and layer batches only redraw its end (see
+ * ShapeBatch.sync()), so a drag costs the same at any length.
+ */
+function appendStrokeVertex(stroke, x, y, sizeScale, alphaScale) {
+    if (!stroke.dynamics && (sizeScale !== 1 || alphaScale !== 1)) {
+        stroke.dynamics = stroke.vertices.map(() => [1, 1]);
+    }
+    stroke.vertices.push([x, y]);
+    if (stroke.dynamics) {
+        stroke.dynamics.push([sizeScale, alphaScale]);
+    }
+}
+
+/**
+ * Brush stroke through the sampled mouse positions in `vertices`, drawn as
+ * a ribbon `size` pixels wide with round joins and caps. With `smooth` set
+ * the ribbon follows a Catmull-Rom curve through the samples instead of
+ * straight segments. `dynamics`, if set, holds a [size scale, alpha scale]
+ * for each vertex (from pen pressure and jitter) that the ribbon blends between.
+ */
+class Stroke extends Shape {
+    constructor(vertices, color, size, alpha = 1.0, smooth = true, dynamics = null) {
+        super('stroke', vertices, color, size, 0, alpha);
+        this.smooth = smooth;
+        this.dynamics = dynamics;
+    }
+
+    appendVertex(x, y, sizeScale = 1, alphaScale = 1) {
+        appendStrokeVertex(this, x, y, sizeScale, alphaScale);
+    }
+
+    // Path from vertex k - 1 to vertex k, without its first point, as [x, y, size scale, alpha scale]
+    getPathSegment(k) {
+        const [s1, a1] = vertexDynamics(this, k - 1);
+        const [s2, a2] = vertexDynamics(this, k);
+        const points = this.smooth ? catmullRomSegment(this.vertices, k - 1) : [this.vertices[k]];
+        return points.map(([x, y], i) => {
+            const t = (i + 1) / points.length;
+            return [x, y, s1 + (s2 - s1) * t, a1 + (a2 - a1) * t];
+        });
+    }
+
+    // The polyline the ribbon is built along, as [x, y, size scale, alpha scale]
+    getPath() {
+        const path = [[...this.vertices[0], ...vertexDynamics(this, 0)]];
+        for (let k = 1; k < this.vertices.length; k++) {
+            path.push(...this.getPathSegment(k));
+        }
+        return path;
+    }
+
+    // Direction the path arrives at vertex k from, or null if it hasn't moved by then
+    angleInto(k) {
+        for (; k > 0; k--) {
+            const segment = [this.vertices[k - 1], ...this.getPathSegment(k)];
+            for (let i = segment.length - 1; i > 0; i--) {
+                const [x1, y1] = segment[i - 1];
+                const [x2, y2] = segment[i];
+                if (x1 !== x2 || y1 !== y2) return Math.atan2(y2 - y1, x2 - x1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ribbon triangles from vertex `first` on, with an alpha scale for each
+     * corner. Vertex k adds the ribbon on the way to it from vertex k - 1,
+     * with the join (or start cap) there; the end cap, or the dot of a stroke
+     * that hasn't moved, comes last. `lastPiece` is the corner where the last
+     * vertex's part begins: nothing before it changes when a vertex is added.
+     */
+    getGeometry(first = 0) {
+        const triangles = [];
+        const alphas = [];
+        const arc = (x, y, radius, alpha, startAngle, sweep) => {
+            appendArc(triangles, x, y, radius, startAngle, sweep);
+            while (alphas.length < triangles.length / 2) {
+                alphas.push(alpha);
+            }
+        };
+        const halfWidth = sizeScale => pixelsToGL(this.size * sizeScale) / 2;
+        
+        let prevAngle = first > 1 ? this.angleInto(first - 1) : null;
+        let lastPiece = 0;
+        for (let k = Math.max(first, 1); k < this.vertices.length; k++) {
+            if (k === this.vertices.length - 1) lastPiece = alphas.length;
+            let [x1, y1] = this.vertices[k - 1];
+            let [s1, a1] = vertexDynamics(this, k - 1);
+            
+            for (const [x2, y2, s2, a2] of this.getPathSegment(k)) {
+                // Repeated samples have no direction
+                if (x2 === x1 && y2 === y1) continue;
+                
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const h1 = halfWidth(s1);
+                const h2 = halfWidth(s2);
+                const nx = -Math.sin(angle);
+                const ny = Math.cos(angle);
+                
+                // Body of the segment (two triangles of the strip), tapering if the size changes
+                triangles.push(
+                    x1 + nx * h1, y1 + ny * h1,  x1 - nx * h1, y1 - ny * h1,  x2 - nx * h2, y2 - ny * h2,
+                    x1 + nx * h1, y1 + ny * h1,  x2 - nx * h2, y2 - ny * h2,  x2 + nx * h2, y2 + ny * h2
+                );
+                alphas.push(a1, a1, a2, a1, a2, a2);
+                
+                if (prevAngle === null) {
+                    // Start cap faces backwards
+                    arc(x1, y1, h1, a1, angle + Math.PI / 2, Math.PI);
+                } else {
+                    // Fill the wedge on the outside of the turn
+                    let turn = angle - prevAngle;
+                    if (turn > Math.PI) turn -= 2 * Math.PI;
+                    if (turn < -Math.PI) turn += 2 * Math.PI;
+                    if (turn !== 0) {
+                        const outside = turn > 0 ? -Math.PI / 2 : Math.PI / 2;
+                        arc(x1, y1, h1, a1, prevAngle + outside, turn);
+                    }
+                }
+                prevAngle = angle;
+                [x1, y1, s1, a1] = [x2, y2, s2, a2];
+            }
+        }
+        
+        // End cap faces forwards
+        const [endX, endY] = this.vertices[this.vertices.length - 1];
+        const [endSize, endAlpha] = vertexDynamics(this, this.vertices.length - 1);
+        if (prevAngle === null) {
+            arc(endX, endY, halfWidth(endSize), endAlpha, 0, 2 * Math.PI);
+        } else {
+            arc(endX, endY, halfWidth(endSize), endAlpha, prevAngle - Math.PI / 2, Math.PI);
+        }
+        return { triangles: triangles, alphas: alphas, lastPiece: lastPiece };
+    }
+
+    getTriangles() {
+        return this.getGeometry().triangles;
+    }
+
+    containsPoint(x, y, tolerance = 0) {
+        const path = this.getPath();
+        const reach = sizeScale => Math.max(pixelsToGL(this.size * sizeScale) / 2, tolerance);
+        if (path.length === 1) {
+            return Math.hypot(x - path[0][0], y - path[0][1]) <= reach(path[0][2]);
+        }
+        for (let i = 1; i < path.length; i++) {
+            if (distanceToSegment(x, y, path[i - 1][0], path[i - 1][1], path[i][0], path[i][1]) <=
+                reach(Math.max(path[i - 1][2], path[i][2]))) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+/**
+ * Stroke drawn with the 'erase' blend mode: it clears whatever is already
+ * painted beneath it on its own layer, so the layers below show through.
+ */
+class EraserStroke extends Stroke {
+    constructor(vertices, size, smooth = true) {
+        super(vertices, [0.0, 0.0, 0.0], size, 1.0, smooth);
+        this.type = 'eraser';
+    }
+}
+
+// Brush stroke -> distance from its last dab to each of its vertices, filled in as far as needed
+const dabTravel = new WeakMap();
+
+/**
+ * Brush stroke painted as round dabs along the sampled positions in
+ * `vertices`, one every `spacing` brush diameters. Each dab is a square
+ * shaded by the fragment shader according to `tip` (one of BRUSH_TIPS),
+ * with `hardness` (0..1) controlling how soft its edge is. `dynamics`
+ * scales the dabs' size and alpha per vertex, like Stroke's.
+ */
+class BrushStroke extends Shape {
+    constructor(vertices, color, size, alpha = 1.0, tip = 'soft', hardness = 0.5, spacing = 0.25, stamp = null,
+        dynamics = null) {
+        super('brush', vertices, color, size, 0, alpha);
+        this.tip = tip;
+        this.hardness = hardness;
+        this.spacing = spacing;
+        this.stamp = stamp; // Id in paintingImages the 'image' tip stamps with, null for a solid square
+        this.dynamics = dynamics;
+    }
+
+    appendVertex(x, y, sizeScale = 1, alphaScale = 1) {
+        appendStrokeVertex(this, x, y, sizeScale, alphaScale);
+    }
+
+    /**
+     * Walk from vertex k - 1 to vertex k, calling visit(x, y, sizeScale,
+     * alphaScale) at each dab, given the distance `travelled` since the last
+     * dab on reaching vertex k - 1. Dabs are spaced for the brush size where
+     * the segment starts. Returns the distance from the last dab to vertex k.
+     */
+    walkSegment(k, travelled, visit) {
+        const [x1, y1] = this.vertices[k - 1];
+        const [x2, y2] = this.vertices[k];
+        const [s1, a1] = vertexDynamics(this, k - 1);
+        const [s2, a2] = vertexDynamics(this, k);
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        const step = Math.max(pixelsToGL(this.size * s1) * this.spacing, 1e-4);
+        
+        // A brush that just shrank may be overdue a dab
+        let along = Math.max(step - travelled, 0);
+        while (along <= length) {
+            const t = length > 0 ? along / length : 0;
+            visit(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t, s1 + (s2 - s1) * t, a1 + (a2 - a1) * t);
+            along += step;
+        }
+        return length - (along - step);
+    }
+
+    // Distance from the last dab to vertex k, worked out once per vertex
+    travelledTo(k) {
+        let travel = dabTravel.get(this);
+        if (!travel) {
+            travel = [0];
+            dabTravel.set(this, travel);
+        }
+        for (let i = travel.length; i <= k; i++) {
+            travel.push(this.walkSegment(i, travel[i - 1], () => {}));
+        }
+        return travel[k];
+    }
+
+    // Dabs vertex k adds (the first dab, or those on the way from vertex k - 1), as [x, y, size scale, alpha scale]
+    getVertexDabs(k) {
+        if (k === 0) {
+            return [[...this.vertices[0], ...vertexDynamics(this, 0)]];
+        }
+        const dabs = [];
+        this.walkSegment(k, this.travelledTo(k - 1), (x, y, sizeScale, alphaScale) => {
+            dabs.push([x, y, sizeScale, alphaScale]);
+        });
+        return dabs;
+    }
+
+    // Dab centers, evenly spaced along the path, as [x, y, size scale, alpha scale]
+    getDabs() {
+        const dabs = [];
+        for (let k = 0; k < this.vertices.length; k++) {
+            dabs.push(...this.getVertexDabs(k));
+        }
+        return dabs;
+    }
+
+    // Squares around the dabs from vertex `first` on, with an alpha scale for each corner, like Stroke.getGeometry()
+    getGeometry(first = 0) {
+        const triangles = [];
+        const alphas = [];
+        let lastPiece = 0;
+        for (let k = first; k < this.vertices.length; k++) {
+            if (k === this.vertices.length - 1) lastPiece = alphas.length;
+            for (const [x, y, sizeScale, alphaScale] of this.getVertexDabs(k)) {
+                const half = pixelsToGL(this.size * sizeScale) / 2;
+                triangles.push(
+                    x - half, y - half,  x + half, y - half,  x + half, y + half,
+                    x - half, y - half,  x + half, y + half,  x - half, y + half
+                );
+                alphas.push(alphaScale, alphaScale, alphaScale, alphaScale, alphaScale, alphaScale);
+            }
+        }
+        return { triangles: triangles, alphas: alphas, lastPiece: lastPiece };
+    }
+
+    // Squares around each dab, as drawn and for picking, bounds and the eraser
+    getTriangles() {
+        return this.getGeometry().triangles;
+    }
+}
+
+/**
+ * Region painted by the bucket tool. `vertices` holds the four corners of
+ * each rectangle the region is made of, so moving, scaling and rotating it
+ * with the select tool works like any other shape.
+ */
+class Fill extends Shape {
+    constructor(vertices, color, alpha = 1.0) {
+        super('fill', vertices, color, 1, 0, alpha);
+    }
+
+    getTriangles() {
+        const triangles = [];
+        const v = this.vertices;
+        for (let i = 0; i + 3 < v.length; i += 4) {
+            triangles.push(
+                v[i][0], v[i][1],  v[i + 1][0], v[i + 1][1],  v[i + 2][0], v[i + 2][1],
+                v[i][0], v[i][1],  v[i + 2][0], v[i + 2][1],  v[i + 3][0], v[i + 3][1]
+            );
+        }
+        return triangles;
+    }
+}
+
+/**
+ * Filled outline given by `vertices` in order (either winding). Works for
+ * concave outlines too: they're triangulated by ear clipping.
+ */
+class Polygon extends Shape {
+    constructor(vertices, color, alpha = 1.0, type = 'polygon') {
+        super(type, vertices, color, 1, 0, alpha);
+    }
+
+    getTriangles() {
+        return triangulatePolygon(this.vertices);
+    }
+}
+
+// Rectangle by its four corners, so it may be rotated
+class Rectangle extends Polygon {
+    constructor(vertices, color, alpha = 1.0) {
+        super(vertices, color, alpha, 'rectangle');
+    }
+}
+
+// Regular N-gon by its corners
+class RegularPolygon extends Polygon {
+    constructor(vertices, color, alpha = 1.0) {
+        super(vertices, color, alpha, 'ngon');
+    }
+}
+
+// Star by its alternating outer and inner corners
+class Star extends Polygon {
+    constructor(vertices, color, alpha = 1.0) {
+        super(vertices, color, alpha, 'star');
+    }
+}
+
+/**
+ * Ellipse stored as [center, end of first axis, end of second axis]. Any
+ * move, scale or rotation of those three points gives the right ellipse,
+ * and it's tessellated with `segments` wedges like Circle.
+ */
+class Ellipse extends Shape {
+    constructor(vertices, color, segments = 12, alpha = 1.0) {
+        super('ellipse', vertices, color, 1, segments, alpha);
+    }
+
+    // Points around the rim, first one repeated at the end
+    getOutline() {
+        const [[cx, cy], [ax, ay], [bx, by]] = this.vertices;
+        const outline = [];
+        for (let i = 0; i <= this.segments; i++) {
+            const angle = i * 2 * Math.PI / this.segments;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            outline.push([
+                cx + (ax - cx) * cos + (bx - cx) * sin,
+                cy + (ay - cy) * cos + (by - cy) * sin
+            ]);
+        }
+        return outline;
+    }
+
+    getTriangles() {
+        const [cx, cy] = this.vertices[0];
+        const outline = this.getOutline();
+        const triangles = [];
+        for (let i = 1; i < outline.length; i++) {
+            triangles.push(cx, cy, outline[i - 1][0], outline[i - 1][1], outline[i][0], outline[i][1]);
+        }
+        return triangles;
+    }
+}
+
+/**
+ * Picture from the painting's image table (see PAINTING IMAGES) stretched
+ * over the quad in `vertices`: bottom left, bottom right, top right, top
+ * left. Merges bake layers into one when their opacity or erasers can't be
+ * kept as separate shapes.
+ */
+class ImageShape extends Shape {
+    constructor(vertices, image, alpha = 1.0) {
+        super('image', vertices, [1.0, 1.0, 1.0], 1, 0, alpha);
+        this.image = image; // Id in paintingImages
+    }
+
+    getTriangles() {
+        const [v0, v1, v2, v3] = this.vertices;
+        return [...v0, ...v1, ...v2, ...v0, ...v2, ...v3];
+    }
+}
+
+/**
+ * Ear-clipping triangulation of a simple polygon, as a flat triangle list.
+ * Outlines that cross themselves have no clean answer; whatever is left
+ * when no ear can be found is drawn as a fan.
+ */
+function triangulatePolygon(points) {
+    if (points.length < 3) return [];
+    
+    // Clip ears counter-clockwise
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    const remaining = points.map((_, i) => i);
+    if (area < 0) remaining.reverse();
+    
+    const triangles = [];
+    while (remaining.length > 3) {
+        let clipped = false;
+        
+        for (let i = 0; i < remaining.length; i++) {
+            const prev = remaining[(i + remaining.length - 1) % remaining.length];
+            const next = remaining[(i + 1) % remaining.length];
+            const [ax, ay] = points[prev];
+            const [bx, by] = points[remaining[i]];
+            const [cx, cy] = points[next];
+            
+            // Reflex and flat corners can't be ears
+            if ((bx - ax) * (cy - ay) - (by - ay) * (cx - ax) <= 0) continue;
+            
+            const blocked = remaining.some(j =>
+                j !== prev && j !== remaining[i] && j !== next &&
+                pointInTriangle(points[j][0], points[j][1], ax, ay, bx, by, cx, cy)
+            );
+            if (blocked) continue;
+            
+            triangles.push(ax, ay, bx, by, cx, cy);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        
+        if (!clipped) break;
+    }
+    
+    // Last triangle, or a fan over whatever couldn't be clipped
+    const [ox, oy] = points[remaining[0]];
+    for (let i = 1; i < remaining.length - 1; i++) {
+        const [bx, by] = points[remaining[i]];
+        const [cx, cy] = points[remaining[i + 1]];
+        triangles.push(ox, oy, bx, by, cx, cy);
+    }
+    return triangles;
+}
+
+// Max angle covered by one triangle of a round join or cap
+const ROUND_STEP = Math.PI / 8;
+
+/**
+ * Points along the Catmull-Rom spline through `points` from points[i] to
+ * points[i + 1], not including points[i]. The curve through every sample
+ * only depends on the samples either side, so a stroke's path can be built
+ * (and rebuilt as it grows) a segment at a time.
+ */
+function catmullRomSegment(points, i) {
+    // Repeat the end points so the curve reaches them
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, points.length - 1)];
+    
+    // About one sample every 2 pixels, enough for a smooth edge
+    const steps = Math.min(16, Math.max(1, Math.ceil(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / pixelsToGL(2))));
+    const segment = [];
+    for (let s = 1; s < steps; s++) {
+        const t = s / steps;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        segment.push([0, 1].map(axis => 0.5 * (
+            2 * p1[axis] +
+            (p2[axis] - p0[axis]) * t +
+            (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2 +
+            (3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis]) * t3
+        )));
+    }
+    // Land exactly on the sample, where the next segment starts
+    segment.push([...p2]);
+    return segment;
+}
+
+// Triangle fan around (cx, cy) from `startAngle` sweeping by `sweep` radians
+function appendArc(triangles, cx, cy, radius, startAngle, sweep) {
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ROUND_STEP));
+    let prevX = cx + radius * Math.cos(startAngle);
+    let prevY = cy + radius * Math.sin(startAngle);
+    
+    for (let i = 1; i <= steps; i++) {
+        const angle = startAngle + sweep * i / steps;
+        const x = cx + radius * Math.cos(angle);
+        const y = cy + radius * Math.sin(angle);
+        triangles.push(cx, cy, prevX, prevY, x, y);
+        prevX = x;
+        prevY = y;
+    }
+}
+
+// Floats stored per vertex: x, y, depth, r, g, b, a, brush tip, hardness, grain seed, texture u, v
+const FLOATS_PER_VERTEX = 12;
+
+// Texture position of each corner of a square drawn as two triangles (bottom left,
+// bottom right, top right, bottom left, top right, top left); image rows run top down
+const QUAD_TEX_COORDS = [0, 1, 1, 1, 1, 0, 0, 1, 1, 0, 0, 0];
+
+// Shapes that can share one draw call use the same blend mode and texture
+function batchRunKind(shape) {
+    if (shape.type === 'image') return 'image:' + shape.image;
+    if (shape.type === 'brush') return shape.tip === 'image' ? 'stamp:' + shape.stamp : 'dabs';
+    return shape.type === 'eraser' ? 'erase' : 'triangles';
+}
+
+// Texture a shape samples, or null while its image is still loading
+function shapeTexture(shape) {
+    if (shape.type === 'image') return getImageTexture(shape.image);
+    // Image dabs painted before any stamp was picked are solid squares
+    if (shape.type === 'brush' && shape.tip === 'image' && shape.stamp) return getImageTexture(shape.stamp);
+    return blankTexture;
+}
+
+// Grain seed of the dab at (x, y): different for every dab, but the same each time it's drawn
+function dabSeed(x, y) {
+    const value = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+// Shapes a 16 bit depth buffer tells apart; it's cleared again after every this many, see shapeDepth()
+const DEPTH_LEVELS = 65535;
+
+/**
+ * Clip-space depth of the shape at `index` in its layer. Every shape gets
+ * one of its own, nearer than the shapes before it, and layers are drawn
+ * with depth func LESS: where a shape's own triangles overlap (a stroke's
+ * joins and caps) only the first one is blended, so translucent strokes
+ * don't darken at every sample.
+ */
+function shapeDepth(index) {
+    return 1 - 2 * (index % DEPTH_LEVELS + 1) / DEPTH_LEVELS;
+}
+
+// Corners of `shape` with an alpha scale for each (null for none); strokes can start from vertex `first`
+function shapeGeometry(shape, first = 0) {
+    if (shape.getGeometry) return shape.getGeometry(first);
+    return { triangles: shape.getTriangles(), alphas: null, lastPiece: null };
+}
+
+/**
+ * Packs shapes into one shared vertex buffer so a whole list draws in a
+ * single call. Shapes appended since the last draw are uploaded with
+ * bufferSubData; the buffer is only re-sent in full when it has to grow.
+ * Strokes being drawn grow in place, and only their end is rewritten.
+ */
+class ShapeBatch {
+    constructor() {
+        this.buffer = gl.createBuffer();
+        this.data = new Float32Array(4096 * FLOATS_PER_VERTEX);
+        this.vertexCount = 0;
+        this.uploadedCount = 0; // Vertices already on the GPU
+        this.gpuCapacity = 0; // Floats allocated on the GPU
+        this.dirtyRanges = []; // [from, to) vertices rewritten below uploadedCount
+        this.shapes = []; // Shapes packed so far, in draw order
+        this.offsets = []; // First vertex of each packed shape
+        this.growth = []; // For strokes, { vertices, lastPiece, end } as packed, see regrow(); null for other shapes
+    }
+
+    clear() {
+        this.truncate(0);
+    }
+
+    // Forget every shape from `shapeIndex` on
+    truncate(shapeIndex) {
+        if (shapeIndex >= this.shapes.length) return;
+        
+        this.vertexCount = this.offsets[shapeIndex];
+        this.uploadedCount = Math.min(this.uploadedCount, this.vertexCount);
+        this.shapes.length = shapeIndex;
+        this.offsets.length = shapeIndex;
+        this.growth.length = shapeIndex;
+    }
+
+    /**
+     * Pack `shape` after the others. With `room` set, strokes are given as
+     * many spare vertices again, which draw nothing until they grow into them,
+     * so strokes drawn side by side (symmetric copies) needn't repack each other.
+     */
+    append(shape, room = false) {
+        const index = this.shapes.length;
+        const offset = this.vertexCount;
+        const geometry = shapeGeometry(shape);
+        const count = geometry.triangles.length / 2;
+        this.writeVertices(shape, index, offset, geometry.triangles, geometry.alphas);
+        
+        this.offsets.push(offset);
+        this.shapes.push(shape);
+        this.vertexCount = offset + count;
+        if (geometry.lastPiece === null) {
+            this.growth.push(null);
+            return;
+        }
+        
+        this.growth.push({ vertices: shape.vertices.length, lastPiece: offset + geometry.lastPiece, end: offset + count });
+        if (room) {
+            this.reserve(offset + 2 * count);
+            this.data.fill(0, (offset + count) * FLOATS_PER_VERTEX, (offset + 2 * count) * FLOATS_PER_VERTEX);
+            this.vertexCount = offset + 2 * count;
+        }
+    }
+
+    // Store `triangles` (with alpha scales `alphas`, or null) from vertex `offset` on, at the depth of shape `index`
+    writeVertices(shape, index, offset, triangles, alphas) {
+        this.reserve(offset + triangles.length / 2);
+        
+        // Brush strokes draw a square per dab shaded by their tip, everything else has no tip
+        const isBrush = shape.type === 'brush';
+        const depth = shapeDepth(index);
+        let [r, g, b] = shape.color;
+        let tip = isBrush ? BRUSH_TIPS.indexOf(shape.tip) : -1;
+        const hardness = isBrush ? shape.hardness : 0;
+        if (shape.type === 'image') tip = -2;
+        const textured = isBrush || shape.type === 'image';
+        let seed = 0;
+        let position = offset * FLOATS_PER_VERTEX;
+        for (let i = 0; i < triangles.length; i += 2) {
+            // Six corners per dab, seeded by its center (halfway between the first and third)
+            if (isBrush && i % 12 === 0) {
+                seed = dabSeed((triangles[i] + triangles[i + 4]) / 2, (triangles[i + 1] + triangles[i + 5]) / 2);
+            }
+            if (shape.gradient) {
+                [r, g, b] = shape.colorAt(triangles[i], triangles[i + 1]);
+            }
+            this.data[position++] = triangles[i];
+            this.data[position++] = triangles[i + 1];
+            this.data[position++] = depth;
+            this.data[position++] = r;
+            this.data[position++] = g;
+            this.data[position++] = b;
+            this.data[position++] = alphas ? Math.min(shape.alpha * alphas[i / 2], 1) : shape.alpha;
+            this.data[position++] = tip;
+            this.data[position++] = hardness;
+            this.data[position++] = seed;
+            this.data[position++] = textured ? QUAD_TEX_COORDS[i % 12] : 0;
+            this.data[position++] = textured ? QUAD_TEX_COORDS[i % 12 + 1] : 0;
+        }
+    }
+
+    // Make room for at least `vertexCount` vertices on the CPU side
+    reserve(vertexCount) {
+        const needed = vertexCount * FLOATS_PER_VERTEX;
+        if (needed <= this.data.length) return;
+        
+        let length = this.data.length;
+        while (length < needed) {
+            length *= 2;
+        }
+        const grown = new Float32Array(length);
+        grown.set(this.data.subarray(0, this.vertexCount * FLOATS_PER_VERTEX));
+        this.data = grown;
+    }
+
+    // Bring the batch up to date with `shapes`, only repacking from the first shape that changed
+    sync(shapes) {
+        const packed = this.shapes;
+        const common = Math.min(packed.length, shapes.length);
+        let firstChanged = 0;
+        while (firstChanged < common && packed[firstChanged] === shapes[firstChanged]) {
+            firstChanged++;
+        }
+        
+        // Strokes that grew are rewritten where they are, unless one outgrew its room
+        let room = false;
+        for (let i = 0; i < firstChanged; i++) {
+            const growth = this.growth[i];
+            if (growth && growth.vertices !== packed[i].vertices.length && !this.regrow(i)) {
+                firstChanged = i;
+                room = true;
+                break;
+            }
+        }
+        
+        this.truncate(firstChanged);
+        for (let i = this.shapes.length; i < shapes.length; i++) {
+            this.append(shapes[i], room);
+        }
+    }
+
+    // Rewrite stroke `i` from the last vertex it had when packed; false if it no longer fits before the next shape
+    regrow(i) {
+        const shape = this.shapes[i];
+        const growth = this.growth[i];
+        const geometry = shape.getGeometry(growth.vertices - 1);
+        const start = growth.lastPiece;
+        const end = start + geometry.triangles.length / 2;
+        const isLast = i === this.shapes.length - 1;
+        if (!isLast && end > this.offsets[i + 1]) return false;
+        
+        this.writeVertices(shape, i, start, geometry.triangles, geometry.alphas);
+        if (isLast) {
+            this.vertexCount = end;
+            this.uploadedCount = Math.min(this.uploadedCount, start);
+        } else {
+            // Whatever is left of the old end becomes triangles with no area
+            if (end < growth.end) {
+                this.data.fill(0, end * FLOATS_PER_VERTEX, growth.end * FLOATS_PER_VERTEX);
+            }
+            this.dirtyRanges.push([start, Math.max(end, growth.end)]);
+        }
+        
+        growth.vertices = shape.vertices.length;
+        growth.lastPiece = start + geometry.lastPiece;
+        growth.end = end;
+        return true;
+    }
+
+    // Copy vertices the GPU hasn't seen yet
+    upload() {
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        
+        if (this.gpuCapacity < this.data.length) {
+            gl.bufferData(gl.ARRAY_BUFFER, this.data, gl.DYNAMIC_DRAW);
+            this.gpuCapacity = this.data.length;
+            this.uploadedCount = this.vertexCount;
+        } else {
+            for (const [from, to] of this.dirtyRanges) {
+                this.uploadRange(from, Math.min(to, this.uploadedCount));
+            }
+            this.uploadRange(this.uploadedCount, this.vertexCount);
+            this.uploadedCount = this.vertexCount;
+        }
+        this.dirtyRanges = [];
+    }
+
+    // Send vertices [from, to) with bufferSubData
+    uploadRange(from, to) {
+        if (from >= to) return;
+        gl.bufferSubData(
+            gl.ARRAY_BUFFER,
+            from * FLOATS_PER_VERTEX * Float32Array.BYTES_PER_ELEMENT,
+            this.data.subarray(from * FLOATS_PER_VERTEX, to * FLOATS_PER_VERTEX)
+        );
+    }
+
+    draw() {
+        if (this.vertexCount === 0) return;
+        this.upload();
+        
+        const stride = FLOATS_PER_VERTEX * Float32Array.BYTES_PER_ELEMENT;
+        gl.vertexAttribPointer(a_Position, 3, gl.FLOAT, false, stride, 0);
+        gl.enableVertexAttribArray(a_Position);
+        gl.vertexAttribPointer(a_Color, 4, gl.FLOAT, false, stride, 3 * Float32Array.BYTES_PER_ELEMENT);
+        gl.enableVertexAttribArray(a_Color);
+        gl.vertexAttribPointer(a_Tip, 3, gl.FLOAT, false, stride, 7 * Float32Array.BYTES_PER_ELEMENT);
+        gl.enableVertexAttribArray(a_Tip);
+        gl.vertexAttribPointer(a_TexCoord, 2, gl.FLOAT, false, stride, 10 * Float32Array.BYTES_PER_ELEMENT);
+        gl.enableVertexAttribArray(a_TexCoord);
+        
+        // Draw in runs, split wherever the blend mode or texture changes, and where the depths start over
+        let runStart = 0;
+        let runFirstShape = 0;
+        for (let i = 1; i <= this.shapes.length; i++) {
+            const shape = this.shapes[i - 1];
+            const kind = batchRunKind(shape);
+            if (i < this.shapes.length && batchRunKind(this.shapes[i]) === kind && i % DEPTH_LEVELS !== 0) continue;
+            
+            const runEnd = i < this.shapes.length ? this.offsets[i] : this.vertexCount;
+            if (runFirstShape > 0 && runFirstShape % DEPTH_LEVELS === 0) {
+                gl.clear(gl.DEPTH_BUFFER_BIT);
+            }
+            // Exports render into a texture of their own, so make sure the run's texture is the one bound
+            const texture = shapeTexture(shape);
+            // Images that are still loading show up once they arrive
+            if (texture) {
+                if (kind === 'erase') setBlendMode('erase');
+                // Brush dabs are meant to build up where they overlap
+                if (shape.type === 'brush') gl.depthFunc(gl.ALWAYS);
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.drawArrays(gl.TRIANGLES, runStart, runEnd - runStart);
+                if (shape.type === 'brush') gl.depthFunc(gl.LESS);
+                if (kind === 'erase') setBlendMode('normal');
+            }
+            runStart = runEnd;
+            runFirstShape = i;
+        }
+        
+        gl.disableVertexAttribArray(a_Position);
+        gl.disableVertexAttribArray(a_Color);
+        gl.disableVertexAttribArray(a_Tip);
+        gl.disableVertexAttribArray(a_TexCoord);
+    }
+
+    dispose() {
+        gl.deleteBuffer(this.buffer);
+        this.buffer = null;
+    }
+}
+
+/***********************
+ * LAYERS
+ ***********************/
+
+// Create an empty, visible layer
+function createLayer(name) {
+    return {
+        id: nextLayerId++,
+        name: name,
+        visible: true,
+        opacity: 1.0,
+        shapes: []
+    };
+}
+
+function activeLayer() {
+    return layers[activeLayerIndex];
+}
+
+// Point shapesList at the active layer so new strokes land there
+function setActiveLayer(index) {
+    pointAtLayer(index);
+    updateLayersPanel();
+}
+
+// Make `index` the active layer without rebuilding the layers panel
+function pointAtLayer(index) {
+    activeLayerIndex = Math.max(0, Math.min(index, layers.length - 1));
+    shapesList = activeLayer().shapes;
+}
+
+// Swap the shapes of the active layer for a new list
+function setActiveShapes(newShapes) {
+    activeLayer().shapes = newShapes;
+    shapesList = newShapes;
+}
+
+// Replace the whole layer stack (used when opening a project); false if it couldn't be
+function replaceLayers(newLayers, newActiveIndex = newLayers.length - 1) {
+    if (!recordHistory()) return false;
+    layers = newLayers;
+    setActiveLayer(newActiveIndex);
+    renderAllShapes();
+    return true;
+}
+
+// Add a new layer directly above the active one and make it active
+function addLayer() {
+    if (!recordHistory()) return;
+    layers.splice(activeLayerIndex + 1, 0, createLayer(`Layer ${nextLayerId}`));
+    setActiveLayer(activeLayerIndex + 1);
+    renderAllShapes();
+}
+
+function deleteLayer() {
+    if (layers.length === 1) {
+        alert('A painting needs at least one layer');
+        return;
+    }
+    
+    if (!recordHistory()) return;
+    layers.splice(activeLayerIndex, 1);
+    setActiveLayer(activeLayerIndex - 1);
+    renderAllShapes();
+}
+
+function renameLayer(index) {
+    const layer = layers[index];
+    const name = prompt('Layer name:', layer.name);
+    if (name === null || name.trim() === '' || name.trim() === layer.name) return;
+    
+    if (!recordHistory()) return;
+    layer.name = name.trim();
+    updateLayersPanel();
+}
+
+// Move the active layer up (+1) or down (-1) in the stack
+function moveLayer(direction) {
+    const target = activeLayerIndex + direction;
+    if (target < 0 || target >= layers.length) return;
+    
+    if (!recordHistory()) return;
+    const [layer] = layers.splice(activeLayerIndex, 1);
+    layers.splice(target, 0, layer);
+    setActiveLayer(target);
+    renderAllShapes();
+}
+
+function setLayerVisibility(index, visible) {
+    if (!recordHistory()) return;
+    layers[index].visible = visible;
+    updateLayersPanel();
+    renderAllShapes();
+}
+
+// Opacity changes continuously while dragging, so the caller decides when to record history
+function setLayerOpacity(index, opacity) {
+    layers[index].opacity = opacity;
+    renderAllShapes();
+}
+
+// Combine the active layer into the one below it, so the painting looks the same
+function mergeLayerDown() {
+    if (activeLayerIndex === 0) return;
+    
+    const upper = layers[activeLayerIndex];
+    const lower = layers[activeLayerIndex - 1];
+    if (!upper.visible || !lower.visible) {
+        alert('Show both layers before merging them');
+        return;
+    }
+    
+    let shapes;
+    try {
+        shapes = mergedShapes(lower, upper);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    if (!recordHistory()) return;
+    
+    lower.shapes = shapes;
+    lower.opacity = 1.0;
+    
+    layers.splice(activeLayerIndex, 1);
+    setActiveLayer(activeLayerIndex - 1);
+    renderAllShapes();
+}
+
+/**
+ * Shapes for `lower` with `upper` merged on top. They can simply be combined
+ * when both layers are fully opaque and `upper` has no erasers (which would
+ * start clearing `lower` too); otherwise whatever has to keep its own
+ * opacity or erasers is baked into an image by rasterizeLayers().
+ */
+function mergedShapes(lower, upper) {
+    const upperErases = upper.shapes.some(shape => shape.type === 'eraser');
+    if (lower.opacity === 1 && upper.opacity === 1 && !upperErases) {
+        return [...lower.shapes, ...upper.shapes];
+    }
+    if (lower.opacity === 1) {
+        const image = rasterizeLayers([upper]);
+        return image ? [...lower.shapes, image] : lower.shapes.slice();
+    }
+    // The lower layer's opacity must not apply to the upper one's shapes, so both are baked
+    const image = rasterizeLayers([lower, upper]);
+    return image ? [image] : [];
+}
+
+// Pixels per painting unit in the images merges bake layers into (four times the reference canvas)
+const MERGE_PIXELS_PER_UNIT = REFERENCE_CANVAS_SIZE * 2;
+
+/**
+ * Bake `layerList` as it's composited on screen into one ImageShape covering
+ * everything it draws, or return null if it draws nothing.
+ */
+function rasterizeLayers(layerList) {
+    const area = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const layer of layerList) {
+        for (const shape of layer.shapes) {
+            // Erasers only take away from what's inside the other shapes
+            if (shape.type === 'eraser') continue;
+            const bounds = shape.getBounds();
+            area.minX = Math.min(area.minX, bounds.minX);
+            area.minY = Math.min(area.minY, bounds.minY);
+            area.maxX = Math.max(area.maxX, bounds.maxX);
+            area.maxY = Math.max(area.maxY, bounds.maxY);
+        }
+    }
+    if (area.minX > area.maxX) return null;
+    
+    // A couple of pixels of margin so edges aren't cut off
+    const margin = 2 / MERGE_PIXELS_PER_UNIT;
+    area.minX -= margin;
+    area.minY -= margin;
+    area.maxX += margin;
+    area.maxY += margin;
+    
+    // Very large layers get fewer pixels per unit rather than failing
+    const maxSize = maxOffscreenSize();
+    const width = Math.min(Math.ceil((area.maxX - area.minX) * MERGE_PIXELS_PER_UNIT), maxSize);
+    const height = Math.min(Math.ceil((area.maxY - area.minY) * MERGE_PIXELS_PER_UNIT), maxSize);
+    const pixels = renderPaintingOffscreen(width, height, true, area, layerList);
+    
+    const corners = [[area.minX, area.minY], [area.maxX, area.minY], [area.maxX, area.maxY], [area.minX, area.maxY]];
+    return new ImageShape(corners, addPaintingImage(pixels, width, height));
+}
+
+// GPU batch for a layer, created the first time the layer is drawn
+function getLayerBatch(layer) {
+    let batch = layerBatches.get(layer.id);
+    if (!batch) {
+        batch = new ShapeBatch();
+        layerBatches.set(layer.id, batch);
+    }
+    return batch;
+}
+
+// Free batches of layers that are no longer in the stack
+function pruneLayerBatches() {
+    const liveIds = new Set(layers.map(layer => layer.id));
+    for (const [id, batch] of layerBatches) {
+        if (!liveIds.has(id)) {
+            batch.dispose();
+            layerBatches.delete(id);
+        }
+    }
+}
+
+// Rebuild the layers list, topmost layer first
+function updateLayersPanel() {
+    const list = document.getElementById('layersList');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    for (let i = layers.length - 1; i >= 0; i--) {
+        const layer = layers[i];
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        row.addEventListener('click', () => {
+            if (i === activeLayerIndex) return;
+            
+            // A selection only applies to the layer it was made on
+            if (selectedShapes.length > 0) {
+                clearSelection();
+                renderAllShapes();
+            }
+            // Only restyle the rows here; rebuilding them would swallow a double-click rename
+            pointAtLayer(i);
+            highlightActiveLayer();
+        });
+        
+        const visibility = document.createElement('input');
+        visibility.type = 'checkbox';
+        visibility.checked = layer.visible;
+        visibility.title = 'Show/hide layer';
+        visibility.disabled = playback !== null;
+        visibility.addEventListener('click', event => event.stopPropagation());
+        visibility.addEventListener('change', () => setLayerVisibility(i, visibility.checked));
+        row.appendChild(visibility);
+        
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', () => renameLayer(i));
+        row.appendChild(name);
+        
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = '0';
+        opacity.max = '1';
+        opacity.step = '0.01';
+        opacity.value = layer.opacity;
+        opacity.title = 'Layer opacity';
+        opacity.disabled = playback !== null;
+        opacity.addEventListener('click', event => event.stopPropagation());
+        
+        // One history step per drag of the slider
+        let recorded = false;
+        opacity.addEventListener('input', () => {
+            if (!recorded && !recordHistory()) return;
+            recorded = true;
+            setLayerOpacity(i, parseFloat(opacity.value));
+        });
+        opacity.addEventListener('change', () => { recorded = false; });
+        row.appendChild(opacity);
+        
+        list.appendChild(row);
+    }
+    
+    highlightActiveLayer();
+}
+
+// Mark the active layer's row and update which layer buttons apply
+function highlightActiveLayer() {
+    const rows = document.getElementById('layersList').children;
+    for (let i = 0; i < rows.length; i++) {
+        // Rows are listed top layer first
+        rows[i].classList.toggle('active', layers.length - 1 - i === activeLayerIndex);
+    }
+    
+    // Playback shows the recording's layers, which can't be edited
+    const locked = playback !== null;
+    document.getElementById('deleteLayerBtn').disabled = locked || layers.length === 1;
+    document.getElementById('layerUpBtn').disabled = locked || activeLayerIndex === layers.length - 1;
+    document.getElementById('layerDownBtn').disabled = locked || activeLayerIndex === 0;
+    document.getElementById('mergeLayerBtn').disabled = locked || activeLayerIndex === 0;
+}
+
+// Initialize WebGL
+function setupWebGL() {
+    // Get canvas element
+    canvas = document.getElementById('canvas');
+    
+    // Get WebGL context
+    gl = canvas.getContext('webgl', { preserveDrawingBuffer: true });
+    if (!gl) {
+        console.error('Failed to get WebGL context');
+        return;
+    }
+    
+    // Set clear color (the black background; layers are drawn onto transparent textures)
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    
+    // Enable alpha blending
+    gl.enable(gl.BLEND);
+    setBlendMode('normal');
+    
+    // Clear canvas
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    
+    return gl;
+}
+
+// Blend for ordinary shapes ('normal') or for eraser strokes ('erase')
+function setBlendMode(mode) {
+    if (mode === 'erase') {
+        // Clear the layer back to transparent, so the layers below show through
+        gl.blendFuncSeparate(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+    } else {
+        // Accumulate coverage in alpha, which is how a layer's texture knows where it's see-through
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+}
+
+// Compile and link the shaders in the <script> elements `vsId` and `fsId`
+function createProgram(vsId, fsId) {
+    // Get shader elements
+    const vsSource = document.getElementById(vsId).textContent;
+    const fsSource = document.getElementById(fsId).textContent;
+    
+    // Initialize shaders
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vsSource);
+    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fsSource);
+    
+    // Create program and attach shaders
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    
+    // Check if linking succeeded
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error('Failed to link program: ' + gl.getProgramInfoLog(program));
+        gl.deleteProgram(program);
+        return null;
+    }
+    
+    return program;
+}
+
+// Compile shaders and connect variables
+function connectVariablesToGLSL() {
+    paintProgram = createProgram('vertex-shader', 'fragment-shader');
+    compositeProgram = createProgram('composite-vertex-shader', 'composite-fragment-shader');
+    if (!paintProgram || !compositeProgram) return;
+    
+    // Layers are composited from texture unit 1, which leaves unit 0 to stamps and images
+    gl.useProgram(compositeProgram);
+    a_CompositePosition = gl.getAttribLocation(compositeProgram, 'a_Position');
+    u_LayerTexture = gl.getUniformLocation(compositeProgram, 'u_LayerTexture');
+    u_LayerOpacity = gl.getUniformLocation(compositeProgram, 'u_LayerOpacity');
+    gl.uniform1i(u_LayerTexture, 1);
+    compositeBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, compositeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    
+    // Use program
+    gl.useProgram(paintProgram);
+    
+    // Get attribute and uniform locations
+    a_Position = gl.getAttribLocation(paintProgram, 'a_Position');
+    a_Color = gl.getAttribLocation(paintProgram, 'a_Color');
+    a_Tip = gl.getAttribLocation(paintProgram, 'a_Tip');
+    a_TexCoord = gl.getAttribLocation(paintProgram, 'a_TexCoord');
+    u_ViewMatrix = gl.getUniformLocation(paintProgram, 'u_ViewMatrix');
+    u_Texture = gl.getUniformLocation(paintProgram, 'u_Texture');
+    
+    // Brush stamps and image shapes always come from texture unit 0
+    blankTexture = createBlankTexture();
+    gl.uniform1i(u_Texture, 0);
+    updateViewMatrix();
+    
+    // Widest line the device draws, which Line shapes mimic
+    lineWidthRange = gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE);
+    
+    return paintProgram;
+}
+
+// Compile shader helper function
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    
+    // Check if compilation succeeded
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('Shader compilation failed: ' + gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+    }
+    
+    return shader;
+}
+
+/***********************
+ * CANVAS SIZE AND VIEW
+ ***********************/
+
+// Painting coordinates to clip space through the camera, column-major.
+// At zoom 1 the -1..1 painting area fills the shorter side of the canvas.
+// Only ever scales and translates, see clipToWorld()
+function computeViewMatrix() {
+    const side = Math.min(canvas.width, canvas.height);
+    const scaleX = side / canvas.width * camera.zoom;
+    const scaleY = side / canvas.height * camera.zoom;
+    return new Float32Array([
+        scaleX, 0, 0,
+        0, scaleY, 0,
+        -camera.x * scaleX, -camera.y * scaleY, 1
+    ]);
+}
+
+// Send a view matrix to the shader (the offscreen export swaps in its own)
+function applyViewMatrix(matrix) {
+    gl.uniformMatrix3fv(u_ViewMatrix, false, matrix);
+}
+
+function updateViewMatrix() {
+    viewMatrix = computeViewMatrix();
+    applyViewMatrix(viewMatrix);
+    updateZoomDisplay();
+}
+
+// Undo the view matrix for a point in clip space
+function clipToWorld(clipX, clipY) {
+    return {
+        x: (clipX - viewMatrix[6]) / viewMatrix[0],
+        y: (clipY - viewMatrix[7]) / viewMatrix[4]
+    };
+}
+
+// How much of the painting one CSS pixel on screen covers
+function screenPixelsToWorld(pixels) {
+    const rect = canvas.getBoundingClientRect();
+    return pixels * 2 / (rect.width * viewMatrix[0]);
+}
+
+// Shape size (in reference pixels) that appears `pixels` CSS pixels big at the current zoom
+function screenPixelsToSize(pixels) {
+    return screenPixelsToWorld(pixels) * REFERENCE_CANVAS_SIZE / 2;
+}
+// Zoom limits for the camera
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 50;
+
+// Scale the view by `factor`, keeping the painting point under (clientX, clientY) still
+function zoomAt(clientX, clientY, factor) {
+    const anchor = canvasToGLCoord(clientX, clientY);
+    camera.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, camera.zoom * factor));
+    updateViewMatrix();
+    
+    // Shift the camera so the anchor lands back under the cursor
+    const moved = canvasToGLCoord(clientX, clientY);
+    camera.x += anchor.x - moved.x;
+    camera.y += anchor.y - moved.y;
+    updateViewMatrix();
+    renderAllShapes();
+}
+
+function startPan(event) {
+    panDrag = { clientX: event.clientX, clientY: event.clientY, cameraX: camera.x, cameraY: camera.y };
+    canvas.style.cursor = 'grabbing';
+}
+
+function updatePan(event) {
+    // Drag distance in painting units at the current zoom
+    camera.x = panDrag.cameraX - screenPixelsToWorld(event.clientX - panDrag.clientX);
+    camera.y = panDrag.cameraY + screenPixelsToWorld(event.clientY - panDrag.clientY);
+    updateViewMatrix();
+    renderAllShapes();
+}
+
+function endPan() {
+    panDrag = null;
+    canvas.style.cursor = spaceHeld ? 'grab' : '';
+}
+
+// Point the camera at `bounds` (or the whole painting area if there's nothing)
+function fitViewTo(bounds) {
+    if (!bounds) {
+        camera = { x: 0, y: 0, zoom: 1 };
+    } else {
+        // Visible span at zoom 1 is 2 units on the shorter side
+        const side = Math.min(canvas.width, canvas.height);
+        const spanX = 2 * canvas.width / side;
+        const spanY = 2 * canvas.height / side;
+        const width = Math.max(bounds.maxX - bounds.minX, 1e-3);
+        const height = Math.max(bounds.maxY - bounds.minY, 1e-3);
+        
+        camera = {
+            x: (bounds.minX + bounds.maxX) / 2,
+            y: (bounds.minY + bounds.maxY) / 2,
+            // Leave a small margin around the content
+            zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, 0.9 * Math.min(spanX / width, spanY / height)))
+        };
+    }
+    updateViewMatrix();
+    renderAllShapes();
+}
+
+// Box around every shape on visible layers, or null when there are none
+function getPaintingBounds() {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const layer of layers) {
+        if (!layer.visible) continue;
+        for (const shape of layer.shapes) {
+            const b = shape.getBounds();
+            bounds.minX = Math.min(bounds.minX, b.minX);
+            bounds.minY = Math.min(bounds.minY, b.minY);
+            bounds.maxX = Math.max(bounds.maxX, b.maxX);
+            bounds.maxY = Math.max(bounds.maxY, b.maxY);
+        }
+    }
+    return bounds.minX === Infinity ? null : bounds;
+}
+
+// Show the current zoom level next to the view buttons
+function updateZoomDisplay() {
+    const display = document.getElementById('zoomValue');
+    if (display) {
+        display.textContent = `${Math.round(camera.zoom * 100)}%`;
+    }
+}
+
+// Input types that take typed text, where space has to stay a space
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+
+// Whether a key press on `target` is typing rather than a shortcut
+function isTypingTarget(target) {
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type);
+}
+
+// Mouse wheel zooms, space-drag or middle-drag pans
+function setupCameraControls() {
+    canvas.addEventListener('wheel', function(event) {
+        event.preventDefault();
+        
+        // Trackpads send many small deltas, mouse wheels a few large ones
+        const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        zoomAt(event.clientX, event.clientY, Math.exp(-delta * 0.0015));
+    }, { passive: false });
+    
+    // Stop the browser's middle-click autoscroll so middle-drag can pan
+    canvas.addEventListener('mousedown', function(event) {
+        if (event.button === 1) event.preventDefault();
+    });
+    
+    document.addEventListener('keydown', function(event) {
+        // Space still types into fields; on a focused button or checkbox it pans instead of clicking
+        if (event.key !== ' ' || isTypingTarget(event.target)) return;
+        event.preventDefault();
+        if (!spaceHeld) {
+            spaceHeld = true;
+            if (!panDrag) canvas.style.cursor = 'grab';
+        }
+    });
+    document.addEventListener('keyup', function(event) {
+        if (event.key !== ' ') return;
+        // Some browsers click a focused button when space is released
+        if (!isTypingTarget(event.target)) event.preventDefault();
+        spaceHeld = false;
+        if (!panDrag) canvas.style.cursor = '';
+    });
+    
+    document.getElementById('fitViewBtn').addEventListener('click', function() {
+        fitViewTo(getPaintingBounds());
+    });
+    document.getElementById('resetViewBtn').addEventListener('click', function() {
+        fitViewTo(null);
+    });
+}
+
+// Match the drawing buffer to the element's size in device pixels and redraw
+function resizeCanvas(pixelWidth, pixelHeight) {
+    const width = Math.max(1, Math.round(pixelWidth));
+    const height = Math.max(1, Math.round(pixelHeight));
+    if (width === canvas.width && height === canvas.height) return;
+    
+    // Resizing wipes the drawing buffer, so redraw straight away
+    canvas.width = width;
+    canvas.height = height;
+    gl.viewport(0, 0, width, height);
+    updateViewMatrix();
+    renderAllShapes();
+}
+
+// Keep the canvas filling its container at full device resolution
+function setupResponsiveCanvas() {
+    const container = document.getElementById('canvasContainer');
+    const fitToContainer = function() {
+        const dpr = window.devicePixelRatio || 1;
+        resizeCanvas(container.clientWidth * dpr, container.clientHeight * dpr);
+    };
+    
+    if (window.ResizeObserver) {
+        new ResizeObserver(function(entries) {
+            const entry = entries[0];
+            // Exact device pixels where the browser reports them
+            if (entry.devicePixelContentBoxSize) {
+                const size = entry.devicePixelContentBoxSize[0];
+                resizeCanvas(size.inlineSize, size.blockSize);
+            } else {
+                fitToContainer();
+            }
+        }).observe(container);
+    } else {
+        window.addEventListener('resize', fitToContainer);
+    }
+    
+    // Moving the window to a screen with a different pixel density changes devicePixelRatio
+    const watchPixelRatio = function() {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        query.addEventListener('change', function() {
+            fitToContainer();
+            watchPixelRatio();
+        }, { once: true });
+    };
+    if (window.matchMedia) {
+        watchPixelRatio();
+    }
+    
+    fitToContainer();
+}
+
+// Outline of the -1..1 painting area when it doesn't exactly fill the canvas
+function appendPageOverlay(batch) {
+    if (canvas.width === canvas.height && camera.zoom === 1 && camera.x === 0 && camera.y === 0) return;
+    appendOutline(batch, -1, -1, 1, 1, [0.4, 0.4, 0.4]);
+}
+
+// Convert canvas coordinates to WebGL coordinates
+function canvasToGLCoord(x, y) {
+    const rect = canvas.getBoundingClientRect();
+    const canvasX = x - rect.left;
+    const canvasY = y - rect.top;
+    
+    // Convert to clip space (-1 to 1) using the displayed size, which CSS may scale
+    const clipX = (canvasX / rect.width) * 2 - 1;
+    const clipY = -(canvasY / rect.height) * 2 + 1;
+    
+    // Then back through the view to painting coordinates
+    return clipToWorld(clipX, clipY);
+}
+
+/**
+ * Color, transparency and size multiplier for the next shape. The color
+ * comes from the sliders, or from the color stops when the dynamics panel
+ * drives it; jitter from the panel is applied on top.
+ */
+function getBrushColor() {
+    const source = document.getElementById('colorSource').value;
+    let color = source === 'brush' ? getSliderColor() : sampleColorStops(colorStops, dynamicsPosition(source));
+    let alpha = parseFloat(document.getElementById('alphaSlider').value);
+    
+    const hueJitter = parseFloat(document.getElementById('hueJitterSlider').value);
+    if (hueJitter > 0) {
+        const hsv = rgbToHsv(color);
+        const hue = (hsv.h + (dynamicsRandom() * 2 - 1) * hueJitter + 360) % 360;
+        color = hsvToRgb(hue, hsv.s, hsv.v);
+    }
+    alpha = Math.min(alpha * jitterFactor(parseFloat(document.getElementById('alphaJitterSlider').value)), 1);
+    const sizeScale = jitterFactor(parseFloat(document.getElementById('sizeJitterSlider').value));
+    
+    return { color: color, alpha: alpha, sizeScale: sizeScale };
+}
+
+// Handle click/draw events
+function handleMouseEvent(event, isMove = false) {
+    // Get coordinates
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    const isDrag = isMove && isMouseDown;
+    
+    // Clicks snap to the grid, guides and other shapes' corners; drags stay freehand
+    const pos = isDrag ? coords : snapPoint(coords);
+    
+    // Drags too short to add anything leave the color dynamics (and the recording) alone
+    if (isDrag && Math.hypot(pos.x - lastMousePos.x, pos.y - lastMousePos.y) <= minDragDistance()) return;
+    
+    // Get current settings
+    const segments = parseInt(document.getElementById('segmentsSlider').value);
+    
+    // Pen pressure and tilt scale the brush, and size jitter on top of that
+    const dynamics = getPointerDynamics(event);
+    const brush = getBrushColor();
+    const size = parseInt(document.getElementById('sizeSlider').value) * dynamics.sizeScale * brush.sizeScale;
+    const color = brush.color;
+    const alpha = brush.alpha * dynamics.alphaScale;
+    
+    const input = { isMove: isDrag, x: pos.x, y: pos.y, color: color, size: size, alpha: alpha, segments: segments };
+    recordInput(input);
+    const drew = drawInput(input);
+    recordInputDrawn();
+    if (drew) {
+        renderAllShapes();
+    }
+}
+
+// How far a drag has to move before it adds to the painting, depending on the tool
+function minDragDistance() {
+    // Triangles are spaced out more to avoid overcrowding
+    return currentShapeType === 'triangle' ? 0.03 : 0.005;
+}
+
+/**
+ * Paint one input from handleMouseEvent() (or a replayed recording): a click
+ * at (x, y) or a drag to it, with the brush values already worked out.
+ * Returns whether anything was added.
+ */
+function drawInput(input) {
+    const { color, size, alpha, segments } = input;
+    
+    // If it's a move and mouse is down, we need to handle continuous drawing
+    if (input.isMove) {
+        const currentPos = { x: input.x, y: input.y };
+        
+        // Calculate direction for oriented shapes
+        const dx = currentPos.x - lastMousePos.x;
+        const dy = currentPos.y - lastMousePos.y;
+        const distance = Math.sqrt(dx*dx + dy*dy);
+        
+        // Only add a shape if we've moved a minimum distance (prevents too many shapes)
+        if (distance > minDragDistance()) {
+            if (currentShapeType === 'point') {
+                // Point-mode drags paint one continuous brush stroke
+                extendStroke(currentPos, color, size, alpha);
+            } else {
+                // Add the main shape based on current type
+                addShape(currentPos.x, currentPos.y, color, size, segments, alpha, dx, dy);
+            }
+            
+            // Update last position
+            lastMousePos = { ...currentPos };
+            return true;
+        }
+        return false;
+    }
+    
+    // For single clicks, just add the shape
+    addShape(input.x, input.y, color, size, segments, alpha);
+    lastMousePos = { x: input.x, y: input.y };
+    activeStroke = null;
+    strokeStartPoint = currentShapeType === 'point' ? lastSymmetricShape() : null;
+    return true;
+}
+
+/**
+ * Continue the current drag's stroke to `pos`, starting a new one if the
+ * color changed. Size and alpha (pen pressure, jitter) are kept per vertex,
+ * relative to where the stroke started.
+ */
+function extendStroke(pos, color, size, alpha) {
+    const last = lastSymmetricShape();
+    const transforms = getSymmetryTransforms();
+    const sameBrush = activeStroke && activeStroke === last && activeStroke.alpha > 0 &&
+        lastSymmetryGroupSize === transforms.length + 1 &&
+        activeStroke.color.every((c, i) => c === color[i]);
+    
+    // Symmetric copies grow along with the stroke
+    if (sameBrush) {
+        const sizeScale = size / activeStroke.size;
+        const alphaScale = alpha / activeStroke.alpha;
+        activeStroke.appendVertex(pos.x, pos.y, sizeScale, alphaScale);
+        const copies = shapesList.slice(shapesList.length - transforms.length);
+        copies.forEach((copy, i) => copy.appendVertex(...transforms[i](pos.x, pos.y), sizeScale, alphaScale));
+        return;
+    }
+    
+    // The stroke replaces the dot or dab from the initial click
+    if (strokeStartPoint && last === strokeStartPoint) {
+        replaceLastSymmetric();
+    }
+    strokeStartPoint = null;
+    
+    activeStroke = createStroke([[lastMousePos.x, lastMousePos.y], [pos.x, pos.y]], color, size, alpha);
+    pushSymmetric(activeStroke);
+}
+
+// Add shape based on current shape type
+function addShape(x, y, color, size, segments, alpha, dx = 0, dy = 0) {
+    switch (currentShapeType) {
+        case 'point':
+            // A click with a brush tip leaves a single dab, otherwise a square dot
+            if (document.getElementById('brushTip').value === 'ribbon') {
+                pushSymmetric(new Point(x, y, color, size, alpha));
+            } else {
+                pushSymmetric(createStroke([[x, y]], color, size, alpha));
+            }
+            break;
+        case 'triangle':
+            // If we have direction info (from mouse drag), orient the triangle
+            if (dx !== 0 || dy !== 0) {
+                // Calculate perpendicular direction and normalize it
+                const magnitude = Math.sqrt(dx*dx + dy*dy);
+                const normalizedDx = dx / magnitude;
+                const normalizedDy = dy / magnitude;
+                
+                const perpX = -normalizedDy;
+                const perpY = normalizedDx;
+                
+                // Create oriented triangle vertices with fixed size (not dependent on dx/dy magnitude)
+                const triSize = size / 100;
+                const vertices = [
+                    [x, y], // Tip of the triangle
+                    [x - triSize * normalizedDx + triSize * perpX, y - triSize * normalizedDy + triSize * perpY],
+                    [x - triSize * normalizedDx - triSize * perpX, y - triSize * normalizedDy - triSize * perpY]
+                ];
+                
+                pushSymmetric(applyBrushGradient(new Triangle(vertices, color, size, alpha)));
+            } else {
+                // For a simple click, create an equilateral triangle
+                const sideLength = size / 100;
+                const height = sideLength * Math.sqrt(3) / 2;
+                
+                const vertices = [
+                    [x, y + height/2],
+                    [x - sideLength/2, y - height/2],
+                    [x + sideLength/2, y - height/2]
+                ];
+                
+                pushSymmetric(applyBrushGradient(new Triangle(vertices, color, size, alpha)));
+            }
+            break;
+        case 'circle':
+            pushSymmetric(applyBrushGradient(new Circle(x, y, color, size, segments, alpha)));
+            break;
+    }
+}
+
+// Render all shapes, plus editing aids unless `showOverlays` is false (e.g. before reading pixels back)
+function renderAllShapes(showOverlays = true) {
+    // Clear canvas
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    
+    drawLayers(layers, null, canvas.width, canvas.height);
+    pruneLayerBatches();
+    
+    if (showOverlays) {
+        overlayBatch.clear();
+        appendPageOverlay(overlayBatch);
+        appendScriptPreview(overlayBatch);
+        appendGridOverlay(overlayBatch);
+        appendSymmetryOverlay(overlayBatch);
+        appendShapeToolOverlay(overlayBatch);
+        appendEraserOverlay(overlayBatch);
+        appendSelectionOverlay(overlayBatch);
+        overlayBatch.draw();
+    }
+}
+
+/**
+ * Composite the visible layers of `layerList`, bottom to top, over what's in
+ * `framebuffer` (null for the canvas), which is `width` x `height` pixels.
+ * Each layer is drawn on its own into a transparent texture first, so its
+ * erasers only clear that layer and its opacity applies to it as a whole.
+ */
+function drawLayers(layerList, framebuffer, width, height) {
+    const target = getLayerTarget(width, height);
+    const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    
+    for (const layer of layerList) {
+        if (!layer.visible) continue;
+        const batch = getLayerBatch(layer);
+        batch.sync(layer.shapes);
+        if (batch.vertexCount === 0) continue;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        // Overlapping parts of one shape are only blended once, see shapeDepth()
+        gl.enable(gl.DEPTH_TEST);
+        batch.draw();
+        gl.disable(gl.DEPTH_TEST);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        compositeLayer(target.texture, layer.opacity);
+    }
+    gl.clearColor(...clearColor);
+}
+
+// Texture, depth buffer and framebuffer layers are drawn into before compositing, resized to `width` x `height` when needed
+function getLayerTarget(width, height) {
+    if (!layerTarget) {
+        layerTarget = {
+            texture: gl.createTexture(), depth: gl.createRenderbuffer(), framebuffer: gl.createFramebuffer(),
+            width: 0, height: 0
+        };
+        // Kept on unit 1 with the compositing, away from the unit the shapes sample from
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, layerTarget.texture);
+        // Read back one texel per pixel, at any size
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+    
+    if (layerTarget.width !== width || layerTarget.height !== height) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, layerTarget.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, layerTarget.depth);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        
+        const bound = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layerTarget.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, layerTarget.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, layerTarget.depth);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, bound);
+        layerTarget.width = width;
+        layerTarget.height = height;
+    }
+    return layerTarget;
+}
+
+// Lay a layer's texture (colors premultiplied by alpha) over the bound framebuffer at `opacity`
+function compositeLayer(texture, opacity) {
+    gl.useProgram(compositeProgram);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1f(u_LayerOpacity, opacity);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, compositeBuffer);
+    gl.vertexAttribPointer(a_CompositePosition, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(a_CompositePosition);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disableVertexAttribArray(a_CompositePosition);
+    
+    setBlendMode('normal');
+    gl.useProgram(paintProgram);
+}
+
+// Copy of the layer stack that later edits can't touch
+function captureLayers() {
+    return {
+        layers: layers.map(layer => ({ ...layer, shapes: layer.shapes.slice() })),
+        activeLayerIndex: activeLayerIndex
+    };
+}
+
+// Make a captured layer stack the live one
+function restoreLayers(state) {
+    layers = state.layers;
+    setActiveLayer(state.activeLayerIndex);
+    renderAllShapes();
+}
+
+// Save the current layers so the next change can be undone; false (and nothing saved) if it can't be made now
+function recordHistory() {
+    // The canvas is showing the recording, not the painting the change is meant for
+    if (playback) {
+        alert('Exit playback before changing the painting');
+        return false;
+    }
+    
+    markPaintingChanged();
+    undoStack.push(captureLayers());
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    
+    // A new change invalidates anything that was undone
+    redoStack = [];
+    updateHistoryButtons();
+    return true;
+}
+
+// Replace every shape on the active layer as a single undoable step
+function replaceShapes(newShapes) {
+    if (!recordHistory()) return;
+    setActiveShapes(newShapes);
+    renderAllShapes();
+}
+
+// Step back to the state before the last change
+function undo() {
+    if (undoStack.length === 0 || playback || gameRunning) return;
+    
+    // The live stack isn't touched once it's off screen, so it can go on the stack as-is
+    markPaintingChanged();
+    redoStack.push({ layers: layers, activeLayerIndex: activeLayerIndex });
+    restoreLayers(undoStack.pop());
+    updateHistoryButtons();
+}
+
+// Re-apply the last undone change
+function redo() {
+    if (redoStack.length === 0 || playback || gameRunning) return;
+    
+    markPaintingChanged();
+    undoStack.push({ layers: layers, activeLayerIndex: activeLayerIndex });
+    restoreLayers(redoStack.pop());
+    updateHistoryButtons();
+}
+
+// Enable/disable the undo and redo buttons to match the stacks
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = undoStack.length === 0 || gameRunning;
+    if (redoBtn) redoBtn.disabled = redoStack.length === 0 || gameRunning;
+}
+
+/***********************
+ * BUCKET FILL
+ ***********************/
+
+/**
+ * Pixels connected to (seedX, seedY) whose RGBA is within `tolerance`
+ * (0-255, per channel) of the seed's, as a 0/1 mask. Scanline fill, so
+ * large regions don't blow the stack.
+ */
+function floodFillMask(pixels, width, height, seedX, seedY, tolerance) {
+    const mask = new Uint8Array(width * height);
+    const seed = (seedY * width + seedX) * 4;
+    const target = [pixels[seed], pixels[seed + 1], pixels[seed + 2], pixels[seed + 3]];
+    
+    const matches = function(index) {
+        const p = index * 4;
+        return Math.abs(pixels[p] - target[0]) <= tolerance &&
+            Math.abs(pixels[p + 1] - target[1]) <= tolerance &&
+            Math.abs(pixels[p + 2] - target[2]) <= tolerance &&
+            Math.abs(pixels[p + 3] - target[3]) <= tolerance;
+    };
+    
+    const stack = [[seedX, seedY]];
+    while (stack.length > 0) {
+        const [x, y] = stack.pop();
+        const row = y * width;
+        if (mask[row + x] || !matches(row + x)) continue;
+        
+        // Run left and right along the row
+        let left = x;
+        while (left > 0 && !mask[row + left - 1] && matches(row + left - 1)) left--;
+        let right = x;
+        while (right < width - 1 && !mask[row + right + 1] && matches(row + right + 1)) right++;
+        
+        for (let i = left; i <= right; i++) {
+            mask[row + i] = 1;
+        }
+        
+        // Queue the start of every matching run just above and below
+        for (const ny of [y - 1, y + 1]) {
+            if (ny < 0 || ny >= height) continue;
+            let inRun = false;
+            for (let i = left; i <= right; i++) {
+                const open = !mask[ny * width + i] && matches(ny * width + i);
+                if (open && !inRun) stack.push([i, ny]);
+                inRun = open;
+            }
+        }
+    }
+    return mask;
+}
+
+// Grow the mask by one pixel so the fill tucks under anti-aliased edges
+function dilateMask(mask, width, height) {
+    const grown = mask.slice();
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) continue;
+            if ((x > 0 && mask[y * width + x - 1]) || (x < width - 1 && mask[y * width + x + 1]) ||
+                (y > 0 && mask[(y - 1) * width + x]) || (y < height - 1 && mask[(y + 1) * width + x])) {
+                grown[y * width + x] = 1;
+            }
+        }
+    }
+    return grown;
+}
+
+// Cover the mask with [x0, y0, x1, y1] pixel rectangles, stacking identical runs from row to row
+function maskToRects(mask, width, height) {
+    const rects = [];
+    let open = new Map(); // "x0,x1" -> rectangle still growing downwards from the previous row
+    
+    for (let y = 0; y < height; y++) {
+        const next = new Map();
+        let x = 0;
+        while (x < width) {
+            if (!mask[y * width + x]) {
+                x++;
+                continue;
+            }
+            const start = x;
+            while (x < width && mask[y * width + x]) x++;
+            
+            const key = `${start},${x}`;
+            const rect = open.get(key);
+            if (rect) {
+                rect[3] = y + 1;
+                next.set(key, rect);
+            } else {
+                const created = [start, y, x, y + 1];
+                rects.push(created);
+                next.set(key, created);
+            }
+        }
+        open = next;
+    }
+    return rects;
+}
+
+// Fill the region under the cursor, as currently rendered, with the current color
+function fillAt(event, color, alpha) {
+    // Read the painting itself, not the selection outlines and other aids
+    renderAllShapes(false);
+    const width = canvas.width;
+    const height = canvas.height;
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    renderAllShapes();
+    
+    // Cursor to drawing-buffer pixels (rows count up from the bottom in WebGL)
+    const rect = canvas.getBoundingClientRect();
+    const seedX = Math.floor((event.clientX - rect.left) * width / rect.width);
+    const seedY = height - 1 - Math.floor((event.clientY - rect.top) * height / rect.height);
+    if (seedX < 0 || seedX >= width || seedY < 0 || seedY >= height) return;
+    
+    const tolerance = parseInt(document.getElementById('fillToleranceSlider').value);
+    const mask = dilateMask(floodFillMask(pixels, width, height, seedX, seedY, tolerance), width, height);
+    const rects = maskToRects(mask, width, height);
+    if (rects.length === 0) return;
+    
+    // Pixel edges to painting coordinates
+    const toWorld = (px, py) => {
+        const point = clipToWorld(px / width * 2 - 1, py / height * 2 - 1);
+        return [point.x, point.y];
+    };
+    const vertices = [];
+    for (const [x0, y0, x1, y1] of rects) {
+        vertices.push(toWorld(x0, y0), toWorld(x1, y0), toWorld(x1, y1), toWorld(x0, y1));
+    }
+    
+    if (!recordHistory()) return;
+    shapesList.push(new Fill(vertices, color, alpha));
+    renderAllShapes();
+}
+
+/***********************
+ * BRUSH ENGINE
+ ***********************/
+
+// Brush tips, in the order the fragment shader numbers them
+const BRUSH_TIPS = ['soft', 'hard', 'airbrush', 'chalk', 'image'];
+
+// Image stamps are resampled to this many pixels square
+const STAMP_TEXTURE_SIZE = 128;
+
+let blankTexture = null; // Solid white, bound for shapes that don't sample a texture
+let currentStamp = null; // Id in paintingImages new 'image' tip strokes stamp with, null until one is picked
+
+// New stroke from `vertices` with the brush tip, hardness and spacing picked in the UI
+function createStroke(vertices, color, size, alpha) {
+    const tip = document.getElementById('brushTip').value;
+    if (tip === 'ribbon') {
+        const smooth = document.getElementById('smoothStrokes').checked;
+        return new Stroke(vertices, color, size, alpha, smooth);
+    }
+    
+    const hardness = parseFloat(document.getElementById('hardnessSlider').value);
+    const spacing = parseFloat(document.getElementById('spacingSlider').value) / 100;
+    return new BrushStroke(vertices, color, size, alpha, tip, hardness, spacing, tip === 'image' ? currentStamp : null);
+}
+
+// Texture bound to unit 0, set up for pictures of any size
+function createPictureTexture() {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    // Pictures aren't a power of two in general, so no mipmaps or repeat
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// Solid white 1x1 texture
+function createBlankTexture() {
+    const texture = createPictureTexture();
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+    return texture;
+}
+
+/**
+ * Brush stamp made from `image`, as STAMP_TEXTURE_SIZE square RGBA pixels.
+ * Only its shape matters, kept in the alpha: images with transparency stamp
+ * through their alpha, and opaque ones through their darkness so
+ * black-on-white brushes work too.
+ */
+function stampMaskFromImage(image) {
+    const size = STAMP_TEXTURE_SIZE;
+    const scratch = document.createElement('canvas');
+    scratch.width = size;
+    scratch.height = size;
+    const context = scratch.getContext('2d');
+    context.drawImage(image, 0, 0, size, size);
+    const pixels = context.getImageData(0, 0, size, size).data;
+    
+    let transparent = false;
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] < 255) {
+            transparent = true;
+            break;
+        }
+    }
+    
+    const mask = new Uint8ClampedArray(size * size * 4).fill(255);
+    for (let i = 0; i < pixels.length; i += 4) {
+        const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        mask[i + 3] = transparent ? pixels[i + 3] : 255 - luminance;
+    }
+    return mask;
+}
+
+// Load a picture from a data URL, then pass its stamp mask to onLoaded
+function loadStampImage(source, onLoaded) {
+    const image = new Image();
+    image.onload = function() {
+        onLoaded(stampMaskFromImage(image));
+    };
+    image.onerror = function() {
+        alert('Could not load that image as a brush stamp');
+    };
+    image.src = source;
+}
+
+// Use an image file picked by the user as the stamp for new strokes
+function openStampFile(file) {
+    const reader = new FileReader();
+    reader.onload = function() {
+        loadStampImage(reader.result, function(mask) {
+            currentStamp = addPaintingImage(mask, STAMP_TEXTURE_SIZE, STAMP_TEXTURE_SIZE);
+            document.getElementById('brushTip').value = 'image';
+            renderAllShapes();
+        });
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}"`);
+    };
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Stamp from a project saved before stamps were kept with its images
+ * (version 10 and earlier), where `source` is the original picture. The id
+ * can be used straight away; the mask replaces the picture once it loads.
+ */
+function addLegacyStamp(source) {
+    const id = createImageId();
+    const entry = { source: source, texture: null };
+    paintingImages.set(id, entry);
+    loadStampImage(source, function(mask) {
+        const size = STAMP_TEXTURE_SIZE;
+        entry.source = pixelsToDataURL(mask, size, size);
+        entry.texture = createPixelTexture(mask, size, size);
+        renderAllShapes();
+    });
+    return id;
+}
+
+/***********************
+ * PAINTING IMAGES
+ ***********************/
+
+let paintingImages = new Map(); // Image id -> { source: data URL, texture: null until it has loaded }
+
+// Random id, so images from different sessions and files never collide
+function createImageId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// PNG data URL of top-down, non-premultiplied RGBA `pixels`
+function pixelsToDataURL(pixels, width, height) {
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    scratch.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    return scratch.toDataURL('image/png');
+}
+
+// Texture holding top-down, non-premultiplied RGBA `pixels`
+function createPixelTexture(pixels, width, height) {
+    const texture = createPictureTexture();
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+        new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.length));
+    return texture;
+}
+
+// Add top-down, non-premultiplied RGBA `pixels` as a new image and return its id
+function addPaintingImage(pixels, width, height) {
+    const id = createImageId();
+    paintingImages.set(id, { source: pixelsToDataURL(pixels, width, height), texture: createPixelTexture(pixels, width, height) });
+    return id;
+}
+
+// Make the image `source` available as `id`; its texture loads in the background
+function registerPaintingImage(id, source) {
+    if (paintingImages.has(id)) return;
+    
+    const entry = { source: source, texture: null };
+    paintingImages.set(id, entry);
+    const image = new Image();
+    image.onload = function() {
+        entry.texture = createPictureTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        renderAllShapes();
+    };
+    image.onerror = function() {
+        alert('An image in this painting could not be loaded');
+    };
+    image.src = source;
+}
+
+// Texture of image `id`, or null while it's still loading
+function getImageTexture(id) {
+    const entry = paintingImages.get(id);
+    return entry ? entry.texture : null;
+}
+
+// Id -> data URL of every image `shapes` (shapes or their plain-object form) show or stamp with, for saving with them
+function collectImages(shapes) {
+    const images = {};
+    for (const shape of shapes) {
+        const id = shape.type === 'image' ? shape.image : shape.type === 'brush' ? shape.stamp : null;
+        if (id && paintingImages.has(id)) {
+            images[id] = paintingImages.get(id).source;
+        }
+    }
+    return images;
+}
+
+// Check a saved image table and make its images available, throwing ProjectFormatError if invalid
+function loadImageTable(images) {
+    if (!images || typeof images !== 'object' || Array.isArray(images)) {
+        throw new ProjectFormatError('images must map image ids to data URLs');
+    }
+    const entries = Object.entries(images);
+    for (const [id, source] of entries) {
+        if (!/^[0-9a-f]{16}$/.test(id) || typeof source !== 'string' || !source.startsWith('data:image/')) {
+            throw new ProjectFormatError(`Image "${id}" must be an image data URL under a 16 digit hex id`);
+        }
+    }
+    for (const [id, source] of entries) {
+        registerPaintingImage(id, source);
+    }
+}
+
+/***********************
+ * ERASER
+ ***********************/
+
+// Whether any part of `shape` lies within `radius` of (x, y)
+function shapeTouchesCircle(shape, x, y, radius) {
+    const bounds = shape.getBounds();
+    if (x < bounds.minX - radius || x > bounds.maxX + radius ||
+        y < bounds.minY - radius || y > bounds.maxY + radius) {
+        return false;
+    }
+    
+    const t = shape.getTriangles();
+    for (let i = 0; i < t.length; i += 6) {
+        if (pointInTriangle(x, y, t[i], t[i + 1], t[i + 2], t[i + 3], t[i + 4], t[i + 5]) ||
+            distanceToSegment(x, y, t[i], t[i + 1], t[i + 2], t[i + 3]) <= radius ||
+            distanceToSegment(x, y, t[i + 2], t[i + 3], t[i + 4], t[i + 5]) <= radius ||
+            distanceToSegment(x, y, t[i + 4], t[i + 5], t[i], t[i + 1]) <= radius) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Eraser footprint radius in world units, from the brush size
+function getEraserRadius() {
+    return pixelsToGL(parseInt(document.getElementById('sizeSlider').value)) / 2;
+}
+
+// Delete every shape on the active layer the eraser touches moving from `from` to `to`
+function eraseShapesAlong(from, to) {
+    const radius = getEraserRadius();
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.ceil(length / (radius / 2)));
+    
+    const samples = [];
+    for (let i = 0; i <= steps; i++) {
+        samples.push({
+            x: from.x + (to.x - from.x) * i / steps,
+            y: from.y + (to.y - from.y) * i / steps
+        });
+    }
+    
+    const remaining = shapesList.filter(shape => !samples.some(p => shapeTouchesCircle(shape, p.x, p.y, radius)));
+    if (remaining.length === shapesList.length) return;
+    
+    // Only drags that actually erase something become an undo step
+    if (!eraserDrag.recorded) {
+        recordHistory();
+        eraserDrag.recorded = true;
+    }
+    setActiveShapes(remaining);
+}
+
+function handleEraserDown(event) {
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    const mode = document.getElementById('eraserMode').value;
+    eraserDrag = { mode: mode, last: coords, recorded: false, stroke: null };
+    
+    if (mode === 'pixels') {
+        recordHistory();
+        const size = parseInt(document.getElementById('sizeSlider').value);
+        const smooth = document.getElementById('smoothStrokes').checked;
+        eraserDrag.stroke = new EraserStroke([[coords.x, coords.y], [coords.x, coords.y]], size, smooth);
+        shapesList.push(eraserDrag.stroke);
+    } else {
+        eraseShapesAlong(coords, coords);
+    }
+    renderAllShapes();
+}
+
+// Moves also keep the footprint outline under the pointer
+function handleEraserMove(event) {
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    eraserHover = coords;
+    
+    const drag = eraserDrag;
+    if (drag && Math.hypot(coords.x - drag.last.x, coords.y - drag.last.y) > 0.005) {
+        if (drag.mode === 'pixels') {
+            // Unless an undo took the stroke away mid-drag
+            if (shapesList[shapesList.length - 1] === drag.stroke) {
+                drag.stroke.appendVertex(coords.x, coords.y);
+            }
+        } else {
+            eraseShapesAlong(drag.last, coords);
+        }
+        drag.last = coords;
+    }
+    renderAllShapes();
+}
+
+function handleEraserUp() {
+    eraserDrag = null;
+}
+
+// Hide the footprint outline once the pointer leaves the canvas
+function clearEraserHover() {
+    if (!eraserHover) return;
+    eraserHover = null;
+    renderAllShapes();
+}
+
+// Circle showing what the eraser will cover
+function appendEraserOverlay(batch) {
+    if (currentShapeType !== 'eraser' || !eraserHover) return;
+    
+    const radius = getEraserRadius();
+    const steps = 32;
+    for (let i = 0; i < steps; i++) {
+        const a1 = i * 2 * Math.PI / steps;
+        const a2 = (i + 1) * 2 * Math.PI / steps;
+        batch.append(overlayLine(
+            eraserHover.x + radius * Math.cos(a1), eraserHover.y + radius * Math.sin(a1),
+            eraserHover.x + radius * Math.cos(a2), eraserHover.y + radius * Math.sin(a2),
+            SELECTION_COLOR
+        ));
+    }
+}
+
+/***********************
+ * COLOR PICKER AND PALETTES
+ ***********************/
+
+const RECENT_COLORS_KEY = 'webgl-painting.recentColors';
+const PALETTES_KEY = 'webgl-painting.palettes';
+const MAX_RECENT_COLORS = 12;
+
+// Starting palette for first-time users
+const DEFAULT_PALETTE = [
+    [0, 0, 0], [1, 1, 1], [1, 0, 0], [1, 0.5, 0], [1, 1, 0],
+    [0, 0.6, 0], [0, 0.8, 1], [0, 0, 1], [0.5, 0, 0.8], [0.6, 0.4, 0.2]
+];
+
+let pickerHSV = { h: 0, s: 1, v: 1 }; // Kept alongside the sliders so greys don't forget their hue
+let recentColors = []; // Newest first, as [r, g, b]
+let palettes = new Map(); // Palette name -> list of [r, g, b]; any name is allowed, even "__proto__"
+
+// Thrown when an imported palette file can't be read
+class PaletteFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaletteFormatError';
+    }
+}
+
+// Hue in degrees, saturation and value in 0..1
+function rgbToHsv([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    let h = 0;
+    if (delta > 0) {
+        if (max === r) h = ((g - b) / delta) % 6;
+        else if (max === g) h = (b - r) / delta + 2;
+        else h = (r - g) / delta + 4;
+        h = (h * 60 + 360) % 360;
+    }
+    return { h: h, s: max === 0 ? 0 : delta / max, v: max };
+}
+
+function hsvToRgb(h, s, v) {
+    const f = n => {
+        const k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return [f(5), f(3), f(1)];
+}
+
+// [r, g, b] in 0..1 as '#rrggbb'
+function toHexColor(color) {
+    return '#' + color.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Color typed as '#rgb' or '#rrggbb' (the '#' is optional), or null if it isn't one
+function parseHexInput(text) {
+    let hex = text.trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    return /^[0-9a-f]{6}$/i.test(hex) ? parseHexColor('#' + hex) : null;
+}
+
+// The color set on the RGB sliders, ignoring rainbow mode
+function getSliderColor() {
+    return ['redSlider', 'greenSlider', 'blueSlider'].map(id => parseFloat(document.getElementById(id).value));
+}
+
+// Put `color` on the RGB sliders. The picker follows unless it's where the color came from
+function setBrushColor(color, fromPicker = false) {
+    [['redSlider', 'redValue'], ['greenSlider', 'greenValue'], ['blueSlider', 'blueValue']].forEach(([sliderId, valueId], i) => {
+        const slider = document.getElementById(sliderId);
+        slider.value = color[i].toFixed(2);
+        document.getElementById(valueId).textContent = slider.value;
+    });
+    if (!fromPicker) {
+        syncPickerToSliders();
+    }
+    drawColorPicker();
+}
+
+// Move the picker to the sliders' color after they change
+function syncPickerToSliders() {
+    const hsv = rgbToHsv(getSliderColor());
+    // Hue (and saturation) mean nothing for greys/black, so keep the old ones
+    if (hsv.s > 0) pickerHSV.h = hsv.h;
+    if (hsv.v > 0) pickerHSV.s = hsv.s;
+    pickerHSV.v = hsv.v;
+    drawColorPicker();
+}
+
+// Saturation/value square for the current hue, with a ring at the picked color
+function drawColorPicker() {
+    const square = document.getElementById('svPicker');
+    const context = square.getContext('2d');
+    const { width, height } = square;
+    
+    context.fillStyle = toHexColor(hsvToRgb(pickerHSV.h, 1, 1));
+    context.fillRect(0, 0, width, height);
+    const whiteFade = context.createLinearGradient(0, 0, width, 0);
+    whiteFade.addColorStop(0, '#fff');
+    whiteFade.addColorStop(1, 'rgba(255,255,255,0)');
+    context.fillStyle = whiteFade;
+    context.fillRect(0, 0, width, height);
+    const blackFade = context.createLinearGradient(0, 0, 0, height);
+    blackFade.addColorStop(0, 'rgba(0,0,0,0)');
+    blackFade.addColorStop(1, '#000');
+    context.fillStyle = blackFade;
+    context.fillRect(0, 0, width, height);
+    
+    context.beginPath();
+    context.arc(pickerHSV.s * width, (1 - pickerHSV.v) * height, 5, 0, 2 * Math.PI);
+    context.strokeStyle = pickerHSV.v > 0.5 ? '#000' : '#fff';
+    context.stroke();
+    
+    const hex = toHexColor(getSliderColor());
+    document.getElementById('hueSlider').value = Math.round(pickerHSV.h);
+    document.getElementById('colorPreview').style.backgroundColor = hex;
+    // Don't fight the user while they're typing a hex code
+    const hexInput = document.getElementById('hexInput');
+    if (document.activeElement !== hexInput) {
+        hexInput.value = hex;
+    }
+}
+
+// Hook up the square, hue slider and hex field
+function setupColorPicker() {
+    const square = document.getElementById('svPicker');
+    const pickAt = function(event) {
+        const rect = square.getBoundingClientRect();
+        pickerHSV.s = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        pickerHSV.v = 1 - Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1);
+        setBrushColor(hsvToRgb(pickerHSV.h, pickerHSV.s, pickerHSV.v), true);
+    };
+    square.addEventListener('pointerdown', function(event) {
+        square.setPointerCapture(event.pointerId);
+        pickAt(event);
+    });
+    square.addEventListener('pointermove', function(event) {
+        if (square.hasPointerCapture(event.pointerId)) {
+            pickAt(event);
+        }
+    });
+    
+    document.getElementById('hueSlider').addEventListener('input', function() {
+        pickerHSV.h = parseFloat(this.value);
+        setBrushColor(hsvToRgb(pickerHSV.h, pickerHSV.s, pickerHSV.v), true);
+    });
+    
+    const hexInput = document.getElementById('hexInput');
+    hexInput.addEventListener('change', function() {
+        const color = parseHexInput(this.value);
+        if (color) {
+            setBrushColor(color);
+        }
+        // Tidy up (or undo) whatever was typed
+        this.value = toHexColor(getSliderColor());
+    });
+    
+    ['redSlider', 'greenSlider', 'blueSlider'].forEach(id => {
+        document.getElementById(id).addEventListener('input', syncPickerToSliders);
+    });
+    syncPickerToSliders();
+}
+
+// Set the brush color to the painted pixel under the pointer
+function pickColorAt(event) {
+    // Sample the painting itself, not the editing aids drawn over it
+    renderAllShapes(false);
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((event.clientX - rect.left) * canvas.width / rect.width);
+    const y = canvas.height - 1 - Math.floor((event.clientY - rect.top) * canvas.height / rect.height);
+    const pixel = new Uint8Array(4);
+    const inside = x >= 0 && x < canvas.width && y >= 0 && y < canvas.height;
+    if (inside) {
+        gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+    }
+    renderAllShapes();
+    
+    if (inside) {
+        setBrushColor([pixel[0] / 255, pixel[1] / 255, pixel[2] / 255]);
+    }
+}
+
+// localStorage value parsed as JSON, or `fallback` if missing, unreadable or blocked
+function loadStoredJSON(key, fallback) {
+    try {
+        const text = localStorage.getItem(key);
+        return text === null ? fallback : JSON.parse(text);
+    } catch (err) {
+        console.error(`Could not read ${key} from localStorage: ${err.message}`);
+        return fallback;
+    }
+}
+
+function storeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.error(`Could not save ${key} to localStorage: ${err.message}`);
+    }
+}
+
+// Clickable color square that sets the brush color
+function createSwatch(color, title) {
+    const swatch = document.createElement('button');
+    swatch.className = 'swatch';
+    swatch.style.backgroundColor = toHexColor(color);
+    swatch.title = title;
+    swatch.addEventListener('click', function(event) {
+        if (!event.shiftKey) {
+            setBrushColor(color);
+        }
+    });
+    return swatch;
+}
+
+// Remember `color` at the front of the recent colors strip
+function addRecentColor(color) {
+    const hex = toHexColor(color);
+    if (recentColors.length > 0 && toHexColor(recentColors[0]) === hex) return;
+    
+    recentColors = [color, ...recentColors.filter(c => toHexColor(c) !== hex)].slice(0, MAX_RECENT_COLORS);
+    storeJSON(RECENT_COLORS_KEY, recentColors.map(toHexColor));
+    updateRecentColors();
+}
+
+function updateRecentColors() {
+    const strip = document.getElementById('recentColors');
+    strip.innerHTML = '';
+    recentColors.forEach(color => strip.appendChild(createSwatch(color, toHexColor(color))));
+}
+
+function savePalettes() {
+    // fromEntries defines own properties, so JSON keeps names like "__proto__" too
+    const stored = Object.fromEntries([...palettes].map(([name, colors]) => [name, colors.map(toHexColor)]));
+    storeJSON(PALETTES_KEY, stored);
+}
+
+// Name of the palette picked in the dropdown, or null if there are none
+function currentPaletteName() {
+    const select = document.getElementById('paletteSelect');
+    return palettes.has(select.value) ? select.value : null;
+}
+
+// Rebuild the palette dropdown and swatches, keeping `selectedName` picked
+function updatePalettePanel(selectedName = currentPaletteName()) {
+    const select = document.getElementById('paletteSelect');
+    select.innerHTML = '';
+    for (const name of palettes.keys()) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    if (palettes.has(selectedName)) {
+        select.value = selectedName;
+    }
+    
+    const name = currentPaletteName();
+    const swatches = document.getElementById('paletteSwatches');
+    swatches.innerHTML = '';
+    if (name === null) return;
+    
+    palettes.get(name).forEach((color, i) => {
+        const swatch = createSwatch(color, `${toHexColor(color)} (Shift-click to remove)`);
+        swatch.addEventListener('click', function(event) {
+            if (!event.shiftKey) return;
+            palettes.get(name).splice(i, 1);
+            savePalettes();
+            updatePalettePanel(name);
+        });
+        swatches.appendChild(swatch);
+    });
+}
+
+// `name`, or `name (2)`, `name (3)`... if it's taken
+function uniquePaletteName(name) {
+    let unique = name;
+    for (let n = 2; palettes.has(unique); n++) {
+        unique = `${name} (${n})`;
+    }
+    return unique;
+}
+
+function createPalette() {
+    const name = prompt('Palette name:', uniquePaletteName('My Palette'));
+    if (name === null || name.trim() === '') return;
+    
+    const unique = uniquePaletteName(name.trim());
+    palettes.set(unique, []);
+    savePalettes();
+    updatePalettePanel(unique);
+}
+
+function deletePalette() {
+    const name = currentPaletteName();
+    if (name === null || !confirm(`Delete the palette "${name}"?`)) return;
+    
+    palettes.delete(name);
+    savePalettes();
+    updatePalettePanel();
+}
+
+// Add the current brush color to the selected palette
+function addColorToPalette() {
+    const name = currentPaletteName();
+    if (name === null) {
+        alert('Create a palette first');
+        return;
+    }
+    
+    const color = getSliderColor();
+    const colors = palettes.get(name);
+    if (colors.some(c => toHexColor(c) === toHexColor(color))) return;
+    colors.push(color);
+    savePalettes();
+    updatePalettePanel(name);
+}
+
+// GIMP palette file text for `colors`
+function paletteToGPL(name, colors) {
+    const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#'];
+    for (const color of colors) {
+        const [r, g, b] = color.map(c => String(Math.round(c * 255)).padStart(3));
+        lines.push(`${r} ${g} ${b}\t${toHexColor(color)}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// { name, colors } from a GIMP palette file
+function parseGPL(text, fallbackName) {
+    const lines = text.split(/\r?\n/);
+    if (lines[0].trim() !== 'GIMP Palette') {
+        throw new PaletteFormatError('not a GIMP palette (missing "GIMP Palette" header)');
+    }
+    
+    let name = fallbackName;
+    const colors = [];
+    lines.slice(1).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('Columns:')) return;
+        if (trimmed.startsWith('Name:')) {
+            name = trimmed.slice(5).trim() || name;
+            return;
+        }
+        
+        const parts = trimmed.split(/\s+/).slice(0, 3).map(Number);
+        if (parts.length < 3 || !parts.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            throw new PaletteFormatError(`line ${i + 2}: expected "red green blue" values from 0 to 255`);
+        }
+        colors.push(parts.map(c => c / 255));
+    });
+    return { name: name, colors: colors };
+}
+
+// { name, colors } from the JSON palette format: { "name": ..., "colors": ["#rrggbb", ...] }
+function parsePaletteJSON(text, fallbackName) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new PaletteFormatError('not valid JSON');
+    }
+    if (!doc || !Array.isArray(doc.colors)) {
+        throw new PaletteFormatError('expected an object with a "colors" array');
+    }
+    
+    const colors = doc.colors.map((hex, i) => {
+        const color = typeof hex === 'string' ? parseHexInput(hex) : null;
+        if (!color) {
+            throw new PaletteFormatError(`color ${i} is not a "#rrggbb" hex code`);
+        }
+        return color;
+    });
+    const name = typeof doc.name === 'string' && doc.name.trim() !== '' ? doc.name.trim() : fallbackName;
+    return { name: name, colors: colors };
+}
+
+// Add a palette from a .json or .gpl file chosen by the user
+function importPalette(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function() {
+        const fallbackName = file.name.replace(/\.[^.]*$/, '');
+        try {
+            const text = reader.result;
+            const palette = text.trimStart().startsWith('GIMP Palette') ?
+                parseGPL(text, fallbackName) : parsePaletteJSON(text, fallbackName);
+            
+            const name = uniquePaletteName(palette.name);
+            palettes.set(name, palette.colors);
+            savePalettes();
+            updatePalettePanel(name);
+        } catch (err) {
+            if (!(err instanceof PaletteFormatError)) throw err;
+            console.error('Failed to import palette: ' + err.message);
+            alert(`Could not import "${file.name}": ${err.message}`);
+        }
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}"`);
+    };
+    
+    reader.readAsText(file);
+}
+
+// Download the selected palette as JSON or as a GIMP .gpl file
+function exportPalette(format) {
+    const name = currentPaletteName();
+    if (name === null) return;
+    
+    const colors = palettes.get(name);
+    const text = format === 'gpl' ?
+        paletteToGPL(name, colors) :
+        JSON.stringify({ name: name, colors: colors.map(toHexColor) }, null, 2);
+    const blob = new Blob([text], { type: format === 'gpl' ? 'text/plain' : 'application/json' });
+    downloadBlob(blob, `${name.replace(/[^\w -]+/g, '_')}.${format}`);
+}
+
+// Read recent colors and palettes back from localStorage
+function loadStoredColors() {
+    const toColors = list => Array.isArray(list) ?
+        list.map(hex => typeof hex === 'string' ? parseHexInput(hex) : null).filter(Boolean) : [];
+    
+    recentColors = toColors(loadStoredJSON(RECENT_COLORS_KEY, [])).slice(0, MAX_RECENT_COLORS);
+    
+    const stored = loadStoredJSON(PALETTES_KEY, null);
+    palettes = new Map();
+    if (stored && typeof stored === 'object') {
+        for (const [name, colors] of Object.entries(stored)) {
+            palettes.set(name, toColors(colors));
+        }
+    } else {
+        palettes.set('Basic', DEFAULT_PALETTE.map(color => [...color]));
+    }
+    
+    updateRecentColors();
+    updatePalettePanel();
+}
+
+/***********************
+ * COLOR DYNAMICS
+ ***********************/
+
+// Default gradient stops: a full trip around the color wheel, ending where it starts
+const RAINBOW_STOPS = [
+    { position: 0, color: [1, 0, 0] },
+    { position: 1 / 6, color: [1, 1, 0] },
+    { position: 2 / 6, color: [0, 1, 0] },
+    { position: 3 / 6, color: [0, 1, 1] },
+    { position: 4 / 6, color: [0, 0, 1] },
+    { position: 5 / 6, color: [1, 0, 1] },
+    { position: 1, color: [1, 0, 0] }
+];
+
+// What the cycle length is measured in for each color source, and where it starts out
+const DYNAMICS_CYCLES = {
+    shape: { unit: 'shapes', initial: 150 },
+    distance: { unit: 'px', initial: 300 },
+    time: { unit: 's', initial: 5 },
+    speed: { unit: 'px/s', initial: 400 }
+};
+
+let colorStops = RAINBOW_STOPS.map(stop => ({ position: stop.position, color: [...stop.color] }));
+let dynamicsRandom = createRandom(1); // Jitter source, restarted from the seed field
+let dynamicsShapeCount = 0; // Shapes colored so far, for the 'shape' source
+// Where the current stroke has got to, for the distance/time/speed/pressure sources
+let strokeProgress = { distance: 0, startTime: 0, lastTime: 0, lastPos: null, speed: 0, pressure: 1 };
+
+// Small seedable PRNG (mulberry32) returning numbers in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Start the jitter sequence (and the per-shape cycle) over from the seed field
+function restartDynamics() {
+    const seed = parseInt(document.getElementById('dynamicsSeed').value) || 0;
+    dynamicsRandom = createRandom(seed);
+    dynamicsShapeCount = 0;
+}
+
+// Color at `t` (0..1) along `stops`
+function sampleColorStops(stops, t) {
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+    if (t <= sorted[0].position) return [...sorted[0].color];
+    
+    for (let i = 1; i < sorted.length; i++) {
+        const next = sorted[i];
+        if (t <= next.position) {
+            const prev = sorted[i - 1];
+            const f = next.position === prev.position ? 1 : (t - prev.position) / (next.position - prev.position);
+            return prev.color.map((c, j) => c + (next.color[j] - c) * f);
+        }
+    }
+    return [...sorted[sorted.length - 1].color];
+}
+
+// Whether the pointer reports real pressure (pens, and the touch screens that can)
+function hasRealPressure(event) {
+    return event.pointerType === 'pen' || (event.pointerType === 'touch' && event.pressure > 0 && event.pressure !== 0.5);
+}
+
+// A new stroke begins at this pointer-down
+function beginStrokeDynamics(event) {
+    strokeProgress = {
+        distance: 0,
+        startTime: event.timeStamp,
+        lastTime: event.timeStamp,
+        lastPos: canvasToGLCoord(event.clientX, event.clientY),
+        speed: 0,
+        pressure: hasRealPressure(event) ? event.pressure : 1
+    };
+}
+
+// The pointer moved on with the button held
+function advanceStrokeDynamics(event) {
+    const pos = canvasToGLCoord(event.clientX, event.clientY);
+    const moved = Math.hypot(pos.x - strokeProgress.lastPos.x, pos.y - strokeProgress.lastPos.y) * REFERENCE_CANVAS_SIZE / 2;
+    const elapsed = event.timeStamp - strokeProgress.lastTime;
+    
+    strokeProgress.distance += moved;
+    if (elapsed > 0) {
+        // Smoothed, since single samples are noisy
+        strokeProgress.speed = 0.7 * strokeProgress.speed + 0.3 * moved / elapsed * 1000;
+    }
+    strokeProgress.lastTime = event.timeStamp;
+    strokeProgress.lastPos = pos;
+    strokeProgress.pressure = hasRealPressure(event) ? event.pressure : 1;
+}
+
+// Position (0..1) along the color stops for `source`. Cycles repeat; speed and pressure stop at the ends
+function dynamicsPosition(source) {
+    const cycle = parseFloat(document.getElementById('dynamicsCycleSlider').value);
+    const wrap = t => t - Math.floor(t);
+    
+    switch (source) {
+        case 'shape':
+            return wrap(dynamicsShapeCount++ / cycle);
+        case 'distance':
+            return wrap(strokeProgress.distance / cycle);
+        case 'time':
+            return wrap((strokeProgress.lastTime - strokeProgress.startTime) / 1000 / cycle);
+        case 'speed':
+            return Math.min(strokeProgress.speed / cycle, 1);
+        case 'pressure':
+            return strokeProgress.pressure;
+    }
+    return 0;
+}
+
+// Random factor in [1 - amount, 1 + amount]
+function jitterFactor(amount) {
+    return amount > 0 ? 1 + (dynamicsRandom() * 2 - 1) * amount : 1;
+}
+
+// Swatches for each gradient stop, plus a preview of the whole gradient
+function updateColorStopsPanel() {
+    const sorted = [...colorStops].sort((a, b) => a.position - b.position);
+    const css = sorted.map(stop => `${toHexColor(stop.color)} ${Math.round(stop.position * 100)}%`).join(', ');
+    document.getElementById('colorStopsPreview').style.background = `linear-gradient(to right, ${css})`;
+    
+    const list = document.getElementById('colorStopsList');
+    list.innerHTML = '';
+    colorStops.forEach((stop, i) => {
+        const row = document.createElement('div');
+        row.className = 'slider-container option-row';
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = toHexColor(stop.color);
+        color.addEventListener('input', function() {
+            stop.color = parseHexColor(this.value);
+            updateColorStopsPanel();
+        });
+        
+        const position = document.createElement('input');
+        position.type = 'range';
+        position.min = '0';
+        position.max = '1';
+        position.step = '0.01';
+        position.value = stop.position;
+        position.title = 'Position along the gradient';
+        position.addEventListener('change', function() {
+            stop.position = parseFloat(this.value);
+            updateColorStopsPanel();
+        });
+        
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        // A gradient needs two ends
+        remove.disabled = colorStops.length <= 2;
+        remove.addEventListener('click', function() {
+            colorStops.splice(i, 1);
+            updateColorStopsPanel();
+        });
+        
+        row.append(color, position, remove);
+        list.appendChild(row);
+    });
+}
+
+// Add a stop halfway along the widest gap, in the color already there
+function addColorStop() {
+    const sorted = [...colorStops].sort((a, b) => a.position - b.position);
+    let best = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].position - sorted[i - 1].position > sorted[best + 1].position - sorted[best].position) {
+            best = i - 1;
+        }
+    }
+    const position = (sorted[best].position + sorted[best + 1].position) / 2;
+    colorStops.push({ position: position, color: sampleColorStops(colorStops, position) });
+    updateColorStopsPanel();
+}
+
+// Keep the Rainbow Mode button and the cycle length in step with the color source
+function updateDynamicsControls() {
+    const source = document.getElementById('colorSource').value;
+    const rainbowBtn = document.getElementById('rainbowModeBtn');
+    const rainbow = source === 'shape';
+    rainbowBtn.textContent = rainbow ? 'Disable Rainbow' : 'Rainbow Mode';
+    rainbowBtn.style.backgroundColor = rainbow ? '#FF4081' : '#4CAF50';
+    
+    const cycle = DYNAMICS_CYCLES[source];
+    const slider = document.getElementById('dynamicsCycleSlider');
+    slider.disabled = !cycle;
+    document.getElementById('dynamicsCycleUnit').textContent = cycle ? cycle.unit : '';
+}
+
+// Switching color source starts its cycle length at a sensible value for its units
+function changeColorSource() {
+    const cycle = DYNAMICS_CYCLES[document.getElementById('colorSource').value];
+    if (cycle) {
+        const slider = document.getElementById('dynamicsCycleSlider');
+        slider.value = cycle.initial;
+        document.getElementById('dynamicsCycleValue').textContent = slider.value;
+    }
+    updateDynamicsControls();
+}
+
+function setupDynamicsPanel() {
+    document.getElementById('colorSource').addEventListener('change', changeColorSource);
+    document.getElementById('addStopBtn').addEventListener('click', addColorStop);
+    document.getElementById('rainbowStopsBtn').addEventListener('click', function() {
+        colorStops = RAINBOW_STOPS.map(stop => ({ position: stop.position, color: [...stop.color] }));
+        updateColorStopsPanel();
+    });
+    document.getElementById('dynamicsSeed').addEventListener('change', restartDynamics);
+    document.getElementById('restartDynamicsBtn').addEventListener('click', restartDynamics);
+    
+    // Rainbow Mode is the per-shape color cycle
+    document.getElementById('rainbowModeBtn').addEventListener('click', function() {
+        const source = document.getElementById('colorSource');
+        source.value = source.value === 'shape' ? 'brush' : 'shape';
+        changeColorSource();
+    });
+    
+    restartDynamics();
+    updateColorStopsPanel();
+    updateDynamicsControls();
+}
+
+/***********************
+ * GRADIENTS
+ ***********************/
+
+/**
+ * Linear gradient for `shape` running across its bounds at `angle` degrees
+ * (0 = left to right, 90 = bottom to top), ending in `toColor`.
+ */
+function linearGradientAcross(shape, toColor, angle) {
+    const bounds = shape.getBounds();
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+    const dx = Math.cos(angle * Math.PI / 180);
+    const dy = Math.sin(angle * Math.PI / 180);
+    // Far enough each way that the gradient spans the whole box in this direction
+    const reach = (Math.abs(dx) * (bounds.maxX - bounds.minX) + Math.abs(dy) * (bounds.maxY - bounds.minY)) / 2;
+    
+    return {
+        type: 'linear',
+        color: [...toColor],
+        from: [cx - dx * reach, cy - dy * reach],
+        to: [cx + dx * reach, cy + dy * reach]
+    };
+}
+
+// Give `shape` a gradient fill and return it, for building scenes in one expression
+function withGradient(shape, gradient) {
+    shape.gradient = gradient;
+    return shape;
+}
+
+// '#rrggbb' from a color input as [r, g, b] in 0..1
+function parseHexColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16) / 255);
+}
+
+// Apply the gradient picked in the UI (if any) to a newly drawn shape
+function applyBrushGradient(shape) {
+    const mode = document.getElementById('gradientMode').value;
+    if (!shape || mode === 'none') return shape;
+    
+    const toColor = parseHexColor(document.getElementById('gradientColor').value);
+    // Radial gradients run from the center vertex, which only circles and ellipses have
+    if (mode === 'radial' && (shape.type === 'circle' || shape.type === 'ellipse')) {
+        shape.gradient = { type: 'radial', color: toColor };
+    } else {
+        const angle = parseFloat(document.getElementById('gradientAngleSlider').value);
+        shape.gradient = linearGradientAcross(shape, toColor, angle);
+    }
+    return shape;
+}
+
+/***********************
+ * GRID AND GUIDES
+ ***********************/
+
+const GRID_COLOR = [0.5, 0.5, 0.5];
+const GUIDE_COLOR = [1.0, 0.3, 0.8];
+// How close (in screen pixels) a point has to be to get pulled onto a grid line, guide or vertex
+const SNAP_DISTANCE_PX = 8;
+// Grids finer than this on screen would just be a grey wash, so they aren't drawn
+const MIN_GRID_SCREEN_PX = 4;
+// Size (in screen pixels) of the handles where guides meet the edge of the view
+const GUIDE_HANDLE_PX = 12;
+
+let guides = []; // Ruler guides as { axis: 'x' | 'y', position }; an 'x' guide is a vertical line at x = position
+let guideDrag = null; // Guide being dragged, see handleGuideDown()
+
+// Grid spacing in painting units, from the slider's reference pixels
+function getGridSpacing() {
+    return parseInt(document.getElementById('gridSpacingSlider').value) * 2 / REFERENCE_CANVAS_SIZE;
+}
+
+// Value from `candidates` closest to `value`, or null if none is within `maxDistance`
+function nearestWithin(value, candidates, maxDistance) {
+    let best = null;
+    for (const candidate of candidates) {
+        if (Math.abs(candidate - value) <= maxDistance &&
+            (best === null || Math.abs(candidate - value) < Math.abs(best - value))) {
+            best = candidate;
+        }
+    }
+    return best;
+}
+
+// Corners of the shapes on visible layers (and of the polygon being drawn) that points can snap to
+function getSnapVertices() {
+    const vertices = [];
+    for (const layer of layers) {
+        if (!layer.visible) continue;
+        for (const shape of layer.shapes) {
+            if (shape.type === 'fill' || shape.type === 'eraser') continue;
+            vertices.push(...shape.vertices);
+        }
+    }
+    if (polygonDraft) {
+        vertices.push(...polygonDraft.points);
+    }
+    return vertices;
+}
+
+/**
+ * Pull a painting point onto nearby snap targets, as enabled in the panel.
+ * An existing shape vertex wins outright; otherwise x and y snap separately
+ * to the nearest grid line or guide, so a point can sit on a guide while
+ * staying free along it.
+ */
+function snapPoint(coords) {
+    const snapDistance = screenPixelsToWorld(SNAP_DISTANCE_PX);
+    
+    if (document.getElementById('snapToVertices').checked) {
+        let nearest = null;
+        let nearestDistance = snapDistance;
+        for (const [x, y] of getSnapVertices()) {
+            const distance = Math.hypot(x - coords.x, y - coords.y);
+            if (distance <= nearestDistance) {
+                nearest = { x: x, y: y };
+                nearestDistance = distance;
+            }
+        }
+        if (nearest) return nearest;
+    }
+    
+    const xTargets = [];
+    const yTargets = [];
+    if (document.getElementById('snapToGrid').checked) {
+        const spacing = getGridSpacing();
+        xTargets.push(Math.round(coords.x / spacing) * spacing);
+        yTargets.push(Math.round(coords.y / spacing) * spacing);
+    }
+    if (document.getElementById('snapToGuides').checked) {
+        guides.forEach(guide => (guide.axis === 'x' ? xTargets : yTargets).push(guide.position));
+    }
+    
+    const x = nearestWithin(coords.x, xTargets, snapDistance);
+    const y = nearestWithin(coords.y, yTargets, snapDistance);
+    return { x: x === null ? coords.x : x, y: y === null ? coords.y : y };
+}
+
+function addGuide(axis) {
+    // Start in the middle of the view so it's visible, ready to be dragged into place
+    guides.push({ axis: axis, position: axis === 'x' ? camera.x : camera.y });
+    renderAllShapes();
+}
+
+function clearGuides() {
+    guides = [];
+    guideDrag = null;
+    renderAllShapes();
+}
+
+// Guide within grabbing distance of a painting point, if any
+function guideAt(coords) {
+    const grabDistance = screenPixelsToWorld(SNAP_DISTANCE_PX / 2);
+    return guides.find(guide =>
+        Math.abs((guide.axis === 'x' ? coords.x : coords.y) - guide.position) <= grabDistance) || null;
+}
+
+// Guide whose handle at the edge of the view is under (clientX, clientY), if any
+function guideHandleAt(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const nearTopOrBottom = clientY - rect.top <= GUIDE_HANDLE_PX || rect.bottom - clientY <= GUIDE_HANDLE_PX;
+    const nearLeftOrRight = clientX - rect.left <= GUIDE_HANDLE_PX || rect.right - clientX <= GUIDE_HANDLE_PX;
+    const coords = canvasToGLCoord(clientX, clientY);
+    const reach = screenPixelsToWorld(GUIDE_HANDLE_PX / 2);
+    
+    return guides.find(guide => guide.axis === 'x' ?
+        nearTopOrBottom && Math.abs(coords.x - guide.position) <= reach :
+        nearLeftOrRight && Math.abs(coords.y - guide.position) <= reach) || null;
+}
+
+// Start dragging a guide if the press landed on one; returns whether it did.
+// Every tool can drag a guide by its handles at the edge of the view; only the
+// select tool grabs it anywhere along its length, so other tools can still click
+// right on a guide to snap to it
+function handleGuideDown(event) {
+    const guide = guideHandleAt(event.clientX, event.clientY) ||
+        (currentShapeType === 'select' ? guideAt(canvasToGLCoord(event.clientX, event.clientY)) : null);
+    if (!guide) return false;
+    
+    guideDrag = { guide: guide };
+    return true;
+}
+
+function handleGuideMove(event) {
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    const guide = guideDrag.guide;
+    guide.position = guide.axis === 'x' ? coords.x : coords.y;
+    renderAllShapes();
+}
+
+// Dropping a guide off the page removes it
+function handleGuideUp() {
+    const guide = guideDrag.guide;
+    guideDrag = null;
+    if (Math.abs(guide.position) > 1) {
+        guides = guides.filter(other => other !== guide);
+    }
+    renderAllShapes();
+}
+
+// Grid lines and guides across the whole view, with a handle at each end of a guide
+function appendGridOverlay(batch) {
+    const corner = clipToWorld(1, 1);
+    const farCorner = clipToWorld(-1, -1);
+    
+    if (document.getElementById('showGrid').checked) {
+        const spacing = getGridSpacing();
+        if (spacing >= screenPixelsToWorld(MIN_GRID_SCREEN_PX)) {
+            for (let i = Math.ceil(farCorner.x / spacing); i * spacing <= corner.x; i++) {
+                batch.append(overlayLine(i * spacing, farCorner.y, i * spacing, corner.y, GRID_COLOR, 0.35));
+            }
+            for (let i = Math.ceil(farCorner.y / spacing); i * spacing <= corner.y; i++) {
+                batch.append(overlayLine(farCorner.x, i * spacing, corner.x, i * spacing, GRID_COLOR, 0.35));
+            }
+        }
+    }
+    
+    const handle = screenPixelsToWorld(GUIDE_HANDLE_PX);
+    for (const guide of guides) {
+        const p = guide.position;
+        if (guide.axis === 'x') {
+            batch.append(overlayLine(p, farCorner.y, p, corner.y, GUIDE_COLOR));
+            batch.append(new Triangle([[p - handle / 2, corner.y], [p + handle / 2, corner.y], [p, corner.y - handle]], GUIDE_COLOR, 10));
+            batch.append(new Triangle([[p - handle / 2, farCorner.y], [p + handle / 2, farCorner.y], [p, farCorner.y + handle]], GUIDE_COLOR, 10));
+        } else {
+            batch.append(overlayLine(farCorner.x, p, corner.x, p, GUIDE_COLOR));
+            batch.append(new Triangle([[corner.x, p - handle / 2], [corner.x, p + handle / 2], [corner.x - handle, p]], GUIDE_COLOR, 10));
+            batch.append(new Triangle([[farCorner.x, p - handle / 2], [farCorner.x, p + handle / 2], [farCorner.x + handle, p]], GUIDE_COLOR, 10));
+        }
+    }
+}
+
+// Grid, snapping and guides as saved with a project
+function captureGridSettings() {
+    return {
+        show: document.getElementById('showGrid').checked,
+        spacing: parseInt(document.getElementById('gridSpacingSlider').value),
+        snapToGrid: document.getElementById('snapToGrid').checked,
+        snapToGuides: document.getElementById('snapToGuides').checked,
+        snapToVertices: document.getElementById('snapToVertices').checked,
+        guides: guides.map(guide => ({ axis: guide.axis, position: guide.position }))
+    };
+}
+
+function applyGridSettings(settings) {
+    document.getElementById('showGrid').checked = settings.show;
+    const slider = document.getElementById('gridSpacingSlider');
+    slider.value = settings.spacing;
+    document.getElementById('gridSpacingValue').textContent = slider.value;
+    document.getElementById('snapToGrid').checked = settings.snapToGrid;
+    document.getElementById('snapToGuides').checked = settings.snapToGuides;
+    document.getElementById('snapToVertices').checked = settings.snapToVertices;
+    guides = settings.guides.map(guide => ({ ...guide }));
+    guideDrag = null;
+}
+
+function setupGridControls() {
+    document.getElementById('addVerticalGuideBtn').addEventListener('click', function() {
+        addGuide('x');
+    });
+    document.getElementById('addHorizontalGuideBtn').addEventListener('click', function() {
+        addGuide('y');
+    });
+    document.getElementById('clearGuidesBtn').addEventListener('click', clearGuides);
+    ['showGrid', 'gridSpacingSlider'].forEach(id => {
+        document.getElementById(id).addEventListener('input', function() {
+            renderAllShapes();
+        });
+    });
+}
+
+/***********************
+ * SYMMETRY
+ ***********************/
+
+const SYMMETRY_GUIDE_COLOR = [0.0, 0.8, 1.0];
+// Guide lines reach this far from the center, comfortably past the page edges
+const SYMMETRY_GUIDE_LENGTH = 4;
+
+let symmetryCenter = { x: 0, y: 0 }; // Painting point everything is mirrored or rotated around
+let placingSymmetryCenter = false; // Next click on the canvas moves the center
+let lastSymmetryGroupSize = 1; // Shapes added by the last pushSymmetric(): the original plus its copies
+
+/**
+ * Point mappings that produce the extra copies for the current symmetry
+ * mode (the original itself isn't included). Mirror modes flip across the
+ * axes through the center; radial mode rotates N-fold around it, and
+ * kaleidoscope mode adds a reflection of each of those copies.
+ */
+function getSymmetryTransforms() {
+    const mode = document.getElementById('symmetryMode').value;
+    const { x: cx, y: cy } = symmetryCenter;
+    const folds = parseInt(document.getElementById('symmetrySegmentsSlider').value);
+    
+    const rotation = angle => {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return (x, y) => [cx + (x - cx) * cos - (y - cy) * sin, cy + (x - cx) * sin + (y - cy) * cos];
+    };
+    // Reflection across the line through the center at `angle`
+    const reflection = angle => {
+        const cos = Math.cos(2 * angle);
+        const sin = Math.sin(2 * angle);
+        return (x, y) => [cx + (x - cx) * cos + (y - cy) * sin, cy + (x - cx) * sin - (y - cy) * cos];
+    };
+    
+    const transforms = [];
+    switch (mode) {
+        case 'horizontal':
+            transforms.push(reflection(Math.PI / 2));
+            break;
+        case 'vertical':
+            transforms.push(reflection(0));
+            break;
+        case 'both':
+            transforms.push(reflection(Math.PI / 2), reflection(0), rotation(Math.PI));
+            break;
+        case 'radial':
+        case 'kaleidoscope':
+            for (let i = 1; i < folds; i++) {
+                transforms.push(rotation(i * 2 * Math.PI / folds));
+            }
+            if (mode === 'kaleidoscope') {
+                for (let i = 0; i < folds; i++) {
+                    transforms.push(reflection(i * Math.PI / folds));
+                }
+            }
+            break;
+    }
+    return transforms;
+}
+
+// Mirrored/rotated copies of `shape` for the current symmetry mode
+function symmetricCopies(shape) {
+    return getSymmetryTransforms().map(mapPoint => shape.transformed(mapPoint));
+}
+
+// Add `shape` to the active layer along with its symmetric copies
+function pushSymmetric(shape) {
+    const copies = symmetricCopies(shape);
+    shapesList.push(shape, ...copies);
+    lastSymmetryGroupSize = copies.length + 1;
+}
+
+// The original of the most recent pushSymmetric() group
+function lastSymmetricShape() {
+    return shapesList[shapesList.length - lastSymmetryGroupSize];
+}
+
+// Swap the most recent pushSymmetric() group for `shape` and its copies (or just remove it)
+function replaceLastSymmetric(shape = null) {
+    shapesList.splice(shapesList.length - lastSymmetryGroupSize, lastSymmetryGroupSize);
+    lastSymmetryGroupSize = 0;
+    if (shape) {
+        pushSymmetric(shape);
+    }
+}
+
+// Axes (or spokes) the painting is mirrored across, and a cross at the center
+function appendSymmetryOverlay(batch) {
+    const mode = document.getElementById('symmetryMode').value;
+    if (mode === 'none' || !document.getElementById('showSymmetryGuides').checked) return;
+    
+    const { x: cx, y: cy } = symmetryCenter;
+    const folds = parseInt(document.getElementById('symmetrySegmentsSlider').value);
+    const spoke = angle => batch.append(overlayLine(
+        cx, cy,
+        cx + Math.cos(angle) * SYMMETRY_GUIDE_LENGTH, cy + Math.sin(angle) * SYMMETRY_GUIDE_LENGTH,
+        SYMMETRY_GUIDE_COLOR
+    ));
+    
+    if (mode === 'horizontal' || mode === 'both') {
+        spoke(Math.PI / 2);
+        spoke(-Math.PI / 2);
+    }
+    if (mode === 'vertical' || mode === 'both') {
+        spoke(0);
+        spoke(Math.PI);
+    }
+    if (mode === 'radial') {
+        for (let i = 0; i < folds; i++) {
+            spoke(Math.PI / 2 + i * 2 * Math.PI / folds);
+        }
+    }
+    if (mode === 'kaleidoscope') {
+        // Every mirror line, both ways out from the center
+        for (let i = 0; i < 2 * folds; i++) {
+            spoke(i * Math.PI / folds);
+        }
+    }
+    
+    const mark = screenPixelsToWorld(6);
+    batch.append(overlayLine(cx - mark, cy, cx + mark, cy, [1.0, 1.0, 1.0]));
+    batch.append(overlayLine(cx, cy - mark, cx, cy + mark, [1.0, 1.0, 1.0]));
+}
+
+function setupSymmetryControls() {
+    const setCenterBtn = document.getElementById('setSymmetryCenterBtn');
+    setCenterBtn.addEventListener('click', function() {
+        placingSymmetryCenter = !placingSymmetryCenter;
+        setCenterBtn.classList.toggle('selected', placingSymmetryCenter);
+    });
+    document.getElementById('resetSymmetryCenterBtn').addEventListener('click', function() {
+        symmetryCenter = { x: 0, y: 0 };
+        renderAllShapes();
+    });
+    ['symmetryMode', 'symmetrySegmentsSlider', 'showSymmetryGuides'].forEach(id => {
+        document.getElementById(id).addEventListener('input', function() {
+            renderAllShapes();
+        });
+    });
+}
+
+// Move the symmetry center to where the canvas was clicked
+function placeSymmetryCenter(event) {
+    symmetryCenter = canvasToGLCoord(event.clientX, event.clientY);
+    placingSymmetryCenter = false;
+    document.getElementById('setSymmetryCenterBtn').classList.remove('selected');
+    renderAllShapes();
+}
+
+/***********************
+ * SHAPE TOOLS
+ ***********************/
+
+// Tools that build one outline shape per click-drag (or per click, for freeform polygons)
+const SHAPE_TOOLS = ['rectangle', 'rotatedRectangle', 'ellipse', 'ngon', 'star', 'polygon'];
+
+// Corners of a regular polygon (or star, when innerRatio is given) around `center`,
+// with the first corner pointing towards `toward`
+function regularPolygonVertices(center, toward, sides, innerRatio = null) {
+    const radius = Math.hypot(toward.x - center.x, toward.y - center.y);
+    const startAngle = Math.atan2(toward.y - center.y, toward.x - center.x);
+    const count = innerRatio === null ? sides : sides * 2;
+    
+    const vertices = [];
+    for (let i = 0; i < count; i++) {
+        const angle = startAngle + i * 2 * Math.PI / count;
+        const r = innerRatio !== null && i % 2 === 1 ? radius * innerRatio : radius;
+        vertices.push([center.x + r * Math.cos(angle), center.y + r * Math.sin(angle)]);
+    }
+    return vertices;
+}
+
+// The shape the current drag would create, or null while it's still too small to see
+function buildToolShape() {
+    const drag = shapeToolDrag;
+    const { color, alpha } = drag.brush;
+    const start = drag.start;
+    let end = drag.current;
+    
+    if (Math.hypot(end.x - start.x, end.y - start.y) < screenPixelsToWorld(2)) {
+        return null;
+    }
+    
+    // Shift keeps rectangles square and ellipses round
+    if (drag.shiftKey && (currentShapeType === 'rectangle' || currentShapeType === 'ellipse')) {
+        const side = Math.max(Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+        end = {
+            x: start.x + Math.sign(end.x - start.x || 1) * side,
+            y: start.y + Math.sign(end.y - start.y || 1) * side
+        };
+    }
+    
+    switch (currentShapeType) {
+        case 'rectangle':
+            return new Rectangle([[start.x, start.y], [end.x, start.y], [end.x, end.y], [start.x, end.y]], color, alpha);
+        case 'rotatedRectangle': {
+            // First drag sets one edge, then the pointer sets how far the opposite edge is
+            const baseEnd = drag.baseEnd || end;
+            const length = Math.hypot(baseEnd.x - start.x, baseEnd.y - start.y);
+            const nx = -(baseEnd.y - start.y) / length;
+            const ny = (baseEnd.x - start.x) / length;
+            const height = drag.baseEnd ? (end.x - start.x) * nx + (end.y - start.y) * ny : screenPixelsToWorld(1);
+            return new Rectangle([
+                [start.x, start.y],
+                [baseEnd.x, baseEnd.y],
+                [baseEnd.x + nx * height, baseEnd.y + ny * height],
+                [start.x + nx * height, start.y + ny * height]
+            ], color, alpha);
+        }
+        case 'ellipse': {
+            const cx = (start.x + end.x) / 2;
+            const cy = (start.y + end.y) / 2;
+            const segments = parseInt(document.getElementById('segmentsSlider').value);
+            return new Ellipse([[cx, cy], [end.x, cy], [cx, end.y]], color, segments, alpha);
+        }
+        case 'ngon': {
+            const sides = parseInt(document.getElementById('sidesSlider').value);
+            return new RegularPolygon(regularPolygonVertices(start, end, sides), color, alpha);
+        }
+        case 'star': {
+            const points = parseInt(document.getElementById('sidesSlider').value);
+            const innerRatio = parseFloat(document.getElementById('starRatioSlider').value);
+            return new Star(regularPolygonVertices(start, end, points, innerRatio), color, alpha);
+        }
+    }
+    return null;
+}
+
+function handleShapeToolDown(event) {
+    const coords = snapPoint(canvasToGLCoord(event.clientX, event.clientY));
+    
+    if (currentShapeType === 'polygon') {
+        addPolygonPoint(coords);
+        return;
+    }
+    
+    // A rotated rectangle's edge is already placed, so this click sets its height
+    if (shapeToolDrag && shapeToolDrag.baseEnd) {
+        shapeToolDrag.current = coords;
+        commitToolShape();
+        return;
+    }
+    
+    shapeToolDrag = { start: coords, current: coords, baseEnd: null, shiftKey: event.shiftKey, brush: getBrushColor() };
+}
+
+// Moves update the preview, with or without a button held
+function handleShapeToolMove(event) {
+    const coords = snapPoint(canvasToGLCoord(event.clientX, event.clientY));
+    
+    if (currentShapeType === 'polygon') {
+        if (polygonDraft) {
+            polygonDraft.hover = coords;
+            renderAllShapes();
+        }
+        return;
+    }
+    
+    if (!shapeToolDrag) return;
+    shapeToolDrag.current = coords;
+    shapeToolDrag.shiftKey = event.shiftKey;
+    toolPreview = applyBrushGradient(buildToolShape());
+    renderAllShapes();
+}
+
+function handleShapeToolUp() {
+    const drag = shapeToolDrag;
+    if (!drag || drag.baseEnd) return;
+    
+    if (currentShapeType === 'rotatedRectangle') {
+        // Keep the edge and wait for the click that sets the height
+        if (buildToolShape()) {
+            drag.baseEnd = drag.current;
+        } else {
+            cancelShapeTool();
+        }
+        return;
+    }
+    commitToolShape();
+}
+
+// Add the shape being drawn to the active layer
+function commitToolShape() {
+    const shape = applyBrushGradient(buildToolShape());
+    shapeToolDrag = null;
+    toolPreview = null;
+    
+    if (shape) {
+        recordHistory();
+        pushSymmetric(shape);
+    }
+    renderAllShapes();
+}
+
+// Freeform polygon: each click adds a corner; clicking the first corner closes it
+function addPolygonPoint(coords) {
+    if (!polygonDraft) {
+        polygonDraft = { points: [], hover: coords, brush: getBrushColor() };
+    }
+    
+    const points = polygonDraft.points;
+    const closeDistance = screenPixelsToWorld(8);
+    if (points.length >= 3 && Math.hypot(coords.x - points[0][0], coords.y - points[0][1]) <= closeDistance) {
+        finishPolygon();
+        return;
+    }
+    
+    // Ignore repeat clicks on the same spot (e.g. the two halves of a double-click)
+    const last = points[points.length - 1];
+    if (!last || Math.hypot(coords.x - last[0], coords.y - last[1]) > closeDistance / 4) {
+        points.push([coords.x, coords.y]);
+    }
+    renderAllShapes();
+}
+
+function finishPolygon() {
+    const draft = polygonDraft;
+    polygonDraft = null;
+    
+    if (draft && draft.points.length >= 3) {
+        recordHistory();
+        pushSymmetric(applyBrushGradient(new Polygon(draft.points, draft.brush.color, draft.brush.alpha)));
+    }
+    renderAllShapes();
+}
+
+function removeLastPolygonPoint() {
+    if (!polygonDraft) return;
+    polygonDraft.points.pop();
+    if (polygonDraft.points.length === 0) {
+        polygonDraft = null;
+    }
+    renderAllShapes();
+}
+
+// Drop whatever shape is half-drawn
+function cancelShapeTool() {
+    shapeToolDrag = null;
+    polygonDraft = null;
+    toolPreview = null;
+    renderAllShapes();
+}
+
+// Preview of the shape being drawn, and the corners of a freeform polygon so far
+function appendShapeToolOverlay(batch) {
+    if (toolPreview) {
+        batch.append(toolPreview);
+        symmetricCopies(toolPreview).forEach(copy => batch.append(copy));
+    }
+    if (!polygonDraft) return;
+    
+    const { points, hover, brush } = polygonDraft;
+    const outline = [...points, [hover.x, hover.y]];
+    if (outline.length >= 3) {
+        batch.append(applyBrushGradient(new Polygon(outline, brush.color, brush.alpha)));
+    }
+    for (let i = 1; i < outline.length; i++) {
+        batch.append(overlayLine(outline[i - 1][0], outline[i - 1][1], outline[i][0], outline[i][1], SELECTION_COLOR));
+    }
+    for (const [x, y] of points) {
+        batch.append(new Point(x, y, [1.0, 1.0, 1.0], screenPixelsToSize(6)));
+    }
+}
+
+/***********************
+ * SELECTION TOOL
+ ***********************/
+
+// Screen distance (in CSS pixels) within which handles and thin shapes can be grabbed
+const SELECT_TOLERANCE_PX = 6;
+const SELECTION_COLOR = [0.13, 0.59, 0.95];
+
+// Topmost shape on the active layer under (x, y), or null
+function pickShapeAt(x, y) {
+    const tolerance = screenPixelsToWorld(SELECT_TOLERANCE_PX);
+    for (let i = shapesList.length - 1; i >= 0; i--) {
+        if (shapesList[i].containsPoint(x, y, tolerance)) {
+            return shapesList[i];
+        }
+    }
+    return null;
+}
+
+// Box around the whole selection, or null if nothing is selected
+function getSelectionBounds() {
+    if (selectedShapes.length === 0) return null;
+    
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const shape of selectedShapes) {
+        const b = shape.getBounds();
+        bounds.minX = Math.min(bounds.minX, b.minX);
+        bounds.minY = Math.min(bounds.minY, b.minY);
+        bounds.maxX = Math.max(bounds.maxX, b.maxX);
+        bounds.maxY = Math.max(bounds.maxY, b.maxY);
+    }
+    return bounds;
+}
+
+// Corner handles scale, the one above the box rotates
+function getSelectionHandles(bounds) {
+    return {
+        corners: [
+            [bounds.minX, bounds.minY],
+            [bounds.maxX, bounds.minY],
+            [bounds.maxX, bounds.maxY],
+            [bounds.minX, bounds.maxY]
+        ],
+        rotate: [(bounds.minX + bounds.maxX) / 2, bounds.maxY + screenPixelsToWorld(20)]
+    };
+}
+
+// Which handle (if any) is under (x, y)
+function pickSelectionHandle(x, y) {
+    const bounds = getSelectionBounds();
+    if (!bounds) return null;
+    
+    const tolerance = screenPixelsToWorld(SELECT_TOLERANCE_PX);
+    const handles = getSelectionHandles(bounds);
+    if (Math.hypot(x - handles.rotate[0], y - handles.rotate[1]) <= tolerance) {
+        return 'rotate';
+    }
+    for (const [hx, hy] of handles.corners) {
+        if (Math.hypot(x - hx, y - hy) <= tolerance) {
+            return 'scale';
+        }
+    }
+    return null;
+}
+
+function clearSelection() {
+    selectedShapes = [];
+    selectionDrag = null;
+}
+
+// Mouse down in select mode: grab a handle, move the selection, or start a rubber band
+function handleSelectMouseDown(event) {
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    const bounds = getSelectionBounds();
+    const handle = pickSelectionHandle(coords.x, coords.y);
+    
+    if (handle) {
+        startSelectionTransform(handle, coords, bounds);
+        return;
+    }
+    
+    const shape = pickShapeAt(coords.x, coords.y);
+    if (!shape) {
+        if (!event.shiftKey) {
+            selectedShapes = [];
+        }
+        selectionDrag = { mode: 'marquee', start: coords, current: coords, additive: event.shiftKey };
+        renderAllShapes();
+        return;
+    }
+    
+    if (event.shiftKey) {
+        // Shift-click toggles a shape in or out of the selection
+        if (selectedShapes.includes(shape)) {
+            selectedShapes = selectedShapes.filter(s => s !== shape);
+        } else {
+            selectedShapes.push(shape);
+        }
+        renderAllShapes();
+        return;
+    }
+    
+    if (!selectedShapes.includes(shape)) {
+        selectedShapes = [shape];
+    }
+    startSelectionTransform('move', coords, getSelectionBounds());
+}
+
+// Remember the untouched selection so each mouse move transforms from the original
+function startSelectionTransform(mode, coords, bounds) {
+    selectionDrag = {
+        mode: mode,
+        start: coords,
+        center: [(bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2],
+        originals: selectedShapes.map(shape => ({ shape: shape, index: shapesList.indexOf(shape) })),
+        recorded: false
+    };
+    renderAllShapes();
+}
+
+function handleSelectMouseMove(event) {
+    if (!selectionDrag) return;
+    
+    const coords = canvasToGLCoord(event.clientX, event.clientY);
+    const drag = selectionDrag;
+    
+    if (drag.mode === 'marquee') {
+        drag.current = coords;
+        renderAllShapes();
+        return;
+    }
+    
+    // Only a drag that actually changes something becomes an undo step
+    if (!drag.recorded) {
+        recordHistory();
+        drag.recorded = true;
+    }
+    
+    const [cx, cy] = drag.center;
+    let mapPoint;
+    let scale = 1;
+    
+    if (drag.mode === 'move') {
+        const dx = coords.x - drag.start.x;
+        const dy = coords.y - drag.start.y;
+        mapPoint = (x, y) => [x + dx, y + dy];
+    } else if (drag.mode === 'scale') {
+        const startDistance = Math.hypot(drag.start.x - cx, drag.start.y - cy);
+        if (startDistance > 0) {
+            scale = Math.max(0.05, Math.hypot(coords.x - cx, coords.y - cy) / startDistance);
+        }
+        mapPoint = (x, y) => [cx + (x - cx) * scale, cy + (y - cy) * scale];
+    } else {
+        const angle = Math.atan2(coords.y - cy, coords.x - cx) - Math.atan2(drag.start.y - cy, drag.start.x - cx);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        mapPoint = (x, y) => [
+            cx + (x - cx) * cos - (y - cy) * sin,
+            cy + (x - cx) * sin + (y - cy) * cos
+        ];
+    }
+    
+    selectedShapes = drag.originals.map(({ shape, index }) => {
+        const moved = shape.transformed(mapPoint, scale);
+        shapesList[index] = moved;
+        return moved;
+    });
+    renderAllShapes();
+}
+
+function handleSelectMouseUp() {
+    const drag = selectionDrag;
+    selectionDrag = null;
+    if (!drag || drag.mode !== 'marquee') return;
+    
+    // Rubber band picks shapes that lie completely inside it
+    const minX = Math.min(drag.start.x, drag.current.x);
+    const maxX = Math.max(drag.start.x, drag.current.x);
+    const minY = Math.min(drag.start.y, drag.current.y);
+    const maxY = Math.max(drag.start.y, drag.current.y);
+    
+    const inside = shapesList.filter(shape => {
+        const b = shape.getBounds();
+        return b.minX >= minX && b.maxX <= maxX && b.minY >= minY && b.maxY <= maxY;
+    });
+    selectedShapes = drag.additive ? [...new Set([...selectedShapes, ...inside])] : inside;
+    renderAllShapes();
+}
+
+function deleteSelection() {
+    if (selectedShapes.length === 0) return;
+    
+    if (!recordHistory()) return;
+    const removed = new Set(selectedShapes);
+    setActiveShapes(shapesList.filter(shape => !removed.has(shape)));
+    clearSelection();
+    renderAllShapes();
+}
+
+// Give the selection the color and transparency currently set on the sliders
+function recolorSelection() {
+    if (selectedShapes.length === 0) return;
+    
+    const color = [
+        parseFloat(document.getElementById('redSlider').value),
+        parseFloat(document.getElementById('greenSlider').value),
+        parseFloat(document.getElementById('blueSlider').value)
+    ];
+    const alpha = parseFloat(document.getElementById('alphaSlider').value);
+    
+    if (!recordHistory()) return;
+    selectedShapes = selectedShapes.map(shape => {
+        const recolored = shape.clone();
+        recolored.color = [...color];
+        recolored.alpha = alpha;
+        recolored.gradient = null;
+        shapesList[shapesList.indexOf(shape)] = recolored;
+        return recolored;
+    });
+    renderAllShapes();
+}
+
+// Line that stays one screen pixel wide whatever the zoom
+function overlayLine(x1, y1, x2, y2, color, alpha = 1.0) {
+    return new Stroke([[x1, y1], [x2, y2]], color, screenPixelsToSize(1), alpha, false);
+}
+
+// Outline rectangle as four 1px lines
+function appendOutline(batch, minX, minY, maxX, maxY, color) {
+    batch.append(overlayLine(minX, minY, maxX, minY, color));
+    batch.append(overlayLine(maxX, minY, maxX, maxY, color));
+    batch.append(overlayLine(maxX, maxY, minX, maxY, color));
+    batch.append(overlayLine(minX, maxY, minX, minY, color));
+}
+
+// Selection box, handles and rubber band
+function appendSelectionOverlay(batch) {
+    // Undo or switching layers can leave stale shapes behind
+    selectedShapes = selectedShapes.filter(shape => shapesList.includes(shape));
+    
+    if (selectionDrag && selectionDrag.mode === 'marquee') {
+        const { start, current } = selectionDrag;
+        appendOutline(batch, start.x, start.y, current.x, current.y, SELECTION_COLOR);
+    }
+    
+    const bounds = getSelectionBounds();
+    if (!bounds) return;
+    
+    for (const shape of selectedShapes) {
+        const b = shape.getBounds();
+        appendOutline(batch, b.minX, b.minY, b.maxX, b.maxY, SELECTION_COLOR);
+    }
+    appendOutline(batch, bounds.minX, bounds.minY, bounds.maxX, bounds.maxY, [1.0, 1.0, 1.0]);
+    
+    const handles = getSelectionHandles(bounds);
+    const topCenter = [(bounds.minX + bounds.maxX) / 2, bounds.maxY];
+    batch.append(overlayLine(topCenter[0], topCenter[1], handles.rotate[0], handles.rotate[1], [1.0, 1.0, 1.0]));
+    for (const [x, y] of handles.corners) {
+        batch.append(new Point(x, y, [1.0, 1.0, 1.0], screenPixelsToSize(8)));
+    }
+    // Circle radius is size / 100 painting units
+    batch.append(new Circle(handles.rotate[0], handles.rotate[1], [1.0, 1.0, 1.0], screenPixelsToWorld(4) * 100, 12));
+}
+
+/***********************
+ * SCENE LIBRARY
+ ***********************/
+
+// Where user scenes were kept before they moved to the painting database
+const USER_SCENES_KEY = 'webgl-painting.userScenes';
+
+// Sky colors and lighting for each time of day; `light` darkens the land beneath
+const SCENE_SKIES = {
+    day: { top: [0.3, 0.55, 0.95], horizon: [0.6, 0.8, 1.0], light: 1.0, body: 'sun', bodyColor: [1.0, 1.0, 0.8], glow: [1.0, 0.8, 0.0], bodyY: 0.8 },
+    sunset: { top: [0.25, 0.2, 0.5], horizon: [1.0, 0.55, 0.3], light: 0.75, body: 'sun', bodyColor: [1.0, 0.9, 0.6], glow: [1.0, 0.4, 0.1], bodyY: 0.2 },
+    night: { top: [0.01, 0.01, 0.08], horizon: [0.12, 0.12, 0.35], light: 0.35, body: 'moon', bodyColor: [1.0, 0.95, 0.8], bodyY: 0.7 }
+};
+
+// Land colors for each palette choice
+const SCENE_PALETTES = {
+    natural: { foliage: [0.2, 0.8, 0.2], palm: [0.0, 0.6, 0.0], trunk: [0.6, 0.4, 0.2], ground: [0.4, 0.8, 0.3], water: [0.2, 0.4, 0.8], sand: [0.94, 0.86, 0.67], rock: [0.3, 0.3, 0.3] },
+    autumn: { foliage: [0.85, 0.45, 0.1], palm: [0.7, 0.5, 0.1], trunk: [0.45, 0.3, 0.15], ground: [0.6, 0.55, 0.25], water: [0.25, 0.35, 0.55], sand: [0.85, 0.75, 0.55], rock: [0.4, 0.32, 0.28] },
+    pastel: { foliage: [0.6, 0.9, 0.7], palm: [0.55, 0.85, 0.6], trunk: [0.8, 0.65, 0.55], ground: [0.75, 0.9, 0.7], water: [0.6, 0.75, 0.95], sand: [1.0, 0.92, 0.8], rock: [0.7, 0.68, 0.8] },
+    winter: { foliage: [0.15, 0.4, 0.3], palm: [0.2, 0.45, 0.3], trunk: [0.35, 0.28, 0.22], ground: [0.92, 0.95, 1.0], water: [0.5, 0.65, 0.8], sand: [0.85, 0.85, 0.8], rock: [0.45, 0.5, 0.55] }
+};
+
+// Parameter definitions shared by the built-in scenes. Choice parameters
+// have `options` (value -> label), number parameters `min` and `max`
+const TIME_OF_DAY_PARAM = { id: 'timeOfDay', label: 'Time of Day', options: { day: 'Day', sunset: 'Sunset', night: 'Night' }, initial: 'day' };
+const PALETTE_PARAM = { id: 'palette', label: 'Palette', options: { natural: 'Natural', autumn: 'Autumn', pastel: 'Pastel', winter: 'Winter' }, initial: 'natural' };
+
+function treeCountParam(initial, max) {
+    return { id: 'treeCount', label: 'Trees', min: 0, max: max, initial: initial };
+}
+
+/**
+ * Built-in scenes for Draw Picture. draw(params, random) adds the scene to
+ * `shapesList`, taking every random choice from `random` so a seed always
+ * gives the same picture.
+ */
+const SCENES = [
+    { id: 'forest', name: 'Forest', params: [TIME_OF_DAY_PARAM, treeCountParam(3, 12), PALETTE_PARAM], draw: drawForestScene },
+    { id: 'beach', name: 'Beach', params: [TIME_OF_DAY_PARAM, treeCountParam(1, 5), PALETTE_PARAM], draw: drawBeachScene },
+    { id: 'mountain', name: 'Mountains', params: [TIME_OF_DAY_PARAM, treeCountParam(0, 10), PALETTE_PARAM], draw: drawMountainScene },
+    { id: 'moonlit', name: 'Moonlit Night', params: [treeCountParam(4, 12), PALETTE_PARAM], draw: drawMoonlitScene }
+];
+
+let userScenes = []; // Scenes saved from drawings, as { id, name, project } with the project as JSON text
+
+// Built-in or user scene by id, or null for 'random'
+function getScene(id) {
+    return SCENES.find(scene => scene.id === id) || userScenes.find(scene => scene.id === id) || null;
+}
+
+// Parameter values from the scene panel
+function getSceneParams(scene) {
+    const params = {};
+    for (const param of scene.params || []) {
+        const input = document.getElementById(`sceneParam-${param.id}`);
+        params[param.id] = param.options ? input.value : parseInt(input.value);
+    }
+    return params;
+}
+
+// Parameter values picked with `random`, for the Random scene choice
+function randomSceneParams(scene, random) {
+    const params = {};
+    for (const param of scene.params) {
+        if (param.options) {
+            const values = Object.keys(param.options);
+            params[param.id] = values[Math.floor(random() * values.length)];
+        } else {
+            params[param.id] = param.min + Math.floor(random() * (param.max - param.min + 1));
+        }
+    }
+    return params;
+}
+
+// Rebuild the scene dropdown, keeping `selectedId` selected
+function updateScenePicker(selectedId = document.getElementById('sceneSelect').value) {
+    const select = document.getElementById('sceneSelect');
+    select.innerHTML = '';
+    
+    const addOption = (parent, id, name) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        parent.appendChild(option);
+    };
+    addOption(select, 'random', 'Random');
+    
+    const builtIn = document.createElement('optgroup');
+    builtIn.label = 'Scenes';
+    SCENES.forEach(scene => addOption(builtIn, scene.id, scene.name));
+    select.appendChild(builtIn);
+    
+    if (userScenes.length > 0) {
+        const mine = document.createElement('optgroup');
+        mine.label = 'My Scenes';
+        userScenes.forEach(scene => addOption(mine, scene.id, scene.name));
+        select.appendChild(mine);
+    }
+    
+    select.value = getScene(selectedId) ? selectedId : 'random';
+    updateSceneParams();
+}
+
+// Show the controls for the chosen scene's parameters
+function updateSceneParams() {
+    const scene = getScene(document.getElementById('sceneSelect').value);
+    const container = document.getElementById('sceneParams');
+    container.innerHTML = '';
+    document.getElementById('deleteSceneBtn').disabled = !userScenes.includes(scene);
+    if (!scene || !scene.params) return;
+    
+    for (const param of scene.params) {
+        const row = document.createElement('div');
+        row.className = 'slider-container';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `sceneParam-${param.id}`;
+        label.textContent = param.label + ':';
+        row.appendChild(label);
+        
+        if (param.options) {
+            const select = document.createElement('select');
+            select.id = `sceneParam-${param.id}`;
+            for (const [value, text] of Object.entries(param.options)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+            select.value = param.initial;
+            row.appendChild(select);
+        } else {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `sceneParam-${param.id}`;
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.value = param.initial;
+            const value = document.createElement('span');
+            value.className = 'slider-value';
+            value.textContent = param.initial;
+            slider.addEventListener('input', () => { value.textContent = slider.value; });
+            row.appendChild(slider);
+            row.appendChild(value);
+        }
+        container.appendChild(row);
+    }
+}
+
+// Register the current painting as a scene Draw Picture can recreate
+function saveDrawingAsScene() {
+    if (!paintingHasShapes()) {
+        alert('Draw something first, then save it as a scene');
+        return;
+    }
+    addUserScene(JSON.stringify(serializeProject()), 'My Scene');
+}
+
+// Add a user scene from project JSON, asking for its name
+function addUserScene(project, suggestedName) {
+    const name = prompt('Scene name:', suggestedName);
+    if (name === null || name.trim() === '') return;
+    
+    const scene = { id: `user-${Date.now()}`, name: name.trim(), project: project };
+    withPaintingStore(SCENES_STORE, 'readwrite', store => store.add(scene), function(id, succeeded) {
+        if (!succeeded) {
+            alert('Could not save the scene; browser storage may be full or disabled');
+            return;
+        }
+        userScenes.push(scene);
+        updateScenePicker(scene.id);
+    });
+}
+
+function deleteUserScene() {
+    const scene = getScene(document.getElementById('sceneSelect').value);
+    if (!userScenes.includes(scene) || !confirm(`Delete the scene "${scene.name}"?`)) return;
+    
+    withPaintingStore(SCENES_STORE, 'readwrite', store => store.delete(scene.id), function(result, succeeded) {
+        if (!succeeded) {
+            alert(`Could not delete the scene "${scene.name}"`);
+            return;
+        }
+        userScenes = userScenes.filter(other => other !== scene);
+        updateScenePicker('random');
+    });
+}
+
+// Whether a stored value looks like a user scene
+function isUserScene(scene) {
+    return Boolean(scene) && typeof scene.id === 'string' && typeof scene.name === 'string' && typeof scene.project === 'string';
+}
+
+// Read the user scenes from the database, moving over any an older version kept in localStorage
+function loadUserScenes() {
+    const stored = loadStoredJSON(USER_SCENES_KEY, []);
+    const legacy = Array.isArray(stored) ? stored.filter(isUserScene) : [];
+    
+    withPaintingStore(SCENES_STORE, 'readonly', store => store.getAll(), function(scenes, succeeded) {
+        if (!succeeded) {
+            // Without the database the old scenes can still be drawn, just not added to
+            userScenes = legacy;
+            updateScenePicker(document.getElementById('sceneSelect').value);
+            return;
+        }
+        
+        userScenes = scenes.filter(isUserScene);
+        const unmoved = legacy.filter(scene => !userScenes.some(other => other.id === scene.id));
+        userScenes.push(...unmoved);
+        updateScenePicker(document.getElementById('sceneSelect').value);
+        
+        // One at a time, and the old copy is only dropped once every scene made it across
+        const moveNext = function() {
+            if (unmoved.length === 0) {
+                try {
+                    localStorage.removeItem(USER_SCENES_KEY);
+                } catch (err) {
+                    console.error(`Could not remove ${USER_SCENES_KEY} from localStorage: ${err.message}`);
+                }
+                return;
+            }
+            const scene = unmoved.shift();
+            withPaintingStore(SCENES_STORE, 'readwrite', store => store.put(scene), function(id, moved) {
+                if (moved) moveNext();
+            });
+        };
+        if (legacy.length > 0) moveNext();
+    });
+}
+
+// Add a user scene's shapes to the active layer, flattening its layers
+function drawUserScene(scene) {
+    let project;
+    try {
+        project = parseProject(scene.project);
+    } catch (err) {
+        if (!(err instanceof ProjectFormatError)) throw err;
+        alert(`The scene "${scene.name}" can't be drawn: ${err.message}`);
+        return;
+    }
+    
+    // Merge the visible layers bottom to top, as merging them down would, so each keeps
+    // its opacity and its erasers only clear what's below them in the scene
+    let merged = { opacity: 1.0, shapes: [] };
+    try {
+        for (const layer of project.layers) {
+            if (!layer.visible) continue;
+            merged = { opacity: 1.0, shapes: mergedShapes(merged, layer) };
+        }
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    shapesList.push(...merged.shapes);
+}
+
+function setupScenePanel() {
+    document.getElementById('sceneSelect').addEventListener('change', updateSceneParams);
+    document.getElementById('newSceneSeedBtn').addEventListener('click', function() {
+        document.getElementById('sceneSeed').value = Math.floor(Math.random() * 1000000);
+    });
+    document.getElementById('saveAsSceneBtn').addEventListener('click', saveDrawingAsScene);
+    document.getElementById('deleteSceneBtn').addEventListener('click', deleteUserScene);
+    updateScenePicker('random');
+    loadUserScenes();
+}
+
+// Draw the scene chosen in the scene panel, replacing the active layer's shapes
+function drawPicture() {
+    const seedInput = document.getElementById('sceneSeed');
+    if (document.getElementById('newSeedEachTime').checked) {
+        seedInput.value = Math.floor(Math.random() * 1000000);
+    }
+    const random = createRandom(parseInt(seedInput.value) || 0);
+    
+    let scene = getScene(document.getElementById('sceneSelect').value);
+    let params;
+    if (scene) {
+        params = getSceneParams(scene);
+    } else {
+        // Random: the seed picks the scene and its settings too
+        scene = SCENES[Math.floor(random() * SCENES.length)];
+        params = randomSceneParams(scene, random);
+    }
+    
+    // Clear out any existing shapes on the active layer (undoable as one step).
+    if (!recordHistory()) return;
+    setActiveShapes([]);
+    
+    if (userScenes.includes(scene)) {
+        drawUserScene(scene);
+    } else {
+        scene.draw(params, random);
+    }
+
+    // Finally, render all shapes on the canvas
+    renderAllShapes();
+}
+
+/***********************
+ * SCENE SCRIPTS
+ ***********************/
+
+/*
+ * A small line-based language for describing scenes, one statement per line:
+ *
+ *   // Comments run to the end of the line
+ *   rect -1 -0.3 2 -0.7 color=#66cc4d          x y width height
+ *   triangle 0 0.5  -0.2 0  0.2 0 color=green  three corners
+ *   polygon x y  x y  x y ...                  three or more corners
+ *   circle 0.5 0.7 0.1 segments=24             center and radius
+ *   ellipse 0 0 0.3 0.1                        center and the two radii
+ *   line -1 0  1 0 width=3                     two ends, width in pixels
+ *   point 0 0 size=10
+ *
+ *   define tree trunk=#996633 leaves=#33cc33   reusable component with defaults
+ *     rect -0.05 0 0.1 0.2 color=$trunk
+ *   end
+ *   use tree at=0.5,-0.3 scale=1.2 leaves=#225522
+ *
+ *   group at=0,0.2 rotate=15 scale=0.5,1       transforms apply to everything inside
+ *     ...
+ *   end
+ *
+ * Every shape takes color= (#rgb, #rrggbb, a name or r,g,b in 0..1) and
+ * alpha=, plus gradient=<color> with gradientType=linear|radial and angle=
+ * for a fill that fades into the second color. `$name` anywhere inside a
+ * component is replaced with that parameter's value.
+ */
+
+const SCRIPT_PREVIEW_DELAY_MS = 250;
+// Components using components this deep are almost certainly using themselves
+const MAX_COMPONENT_DEPTH = 20;
+
+// Names, statements, components and options in scripts are all looked up in Maps,
+// so words like "constructor" or "toString" are never mistaken for built-ins
+const SCRIPT_COLORS = new Map([
+    ['white', [1.0, 1.0, 1.0]], ['black', [0.0, 0.0, 0.0]], ['gray', [0.5, 0.5, 0.5]], ['grey', [0.5, 0.5, 0.5]],
+    ['red', [1.0, 0.0, 0.0]], ['green', [0.0, 0.6, 0.0]], ['blue', [0.0, 0.0, 1.0]], ['yellow', [1.0, 1.0, 0.0]],
+    ['orange', [1.0, 0.6, 0.0]], ['brown', [0.6, 0.4, 0.2]], ['sky', [0.6, 0.8, 1.0]], ['grass', [0.4, 0.8, 0.3]]
+]);
+
+const SCRIPT_SHAPE_OPTIONS = ['color', 'alpha', 'gradient', 'gradientType', 'angle'];
+// Shape statements: how many numbers they take (at least `min`, in steps of `step`) and their extra options
+const SCRIPT_SHAPES = new Map([
+    ['point', { min: 2, max: 2, options: ['size'] }],
+    ['triangle', { min: 6, max: 6, options: [] }],
+    ['rect', { min: 4, max: 4, options: [] }],
+    ['polygon', { min: 6, max: Infinity, step: 2, options: [] }],
+    ['circle', { min: 3, max: 3, options: ['segments'] }],
+    ['ellipse', { min: 4, max: 4, options: ['segments'] }],
+    ['line', { min: 4, max: 4, options: ['width'] }]
+]);
+const SCRIPT_TRANSFORM_OPTIONS = ['at', 'scale', 'rotate'];
+
+let scriptPreview = null; // Shapes from the script editor, drawn as an overlay until they're added
+let scriptPreviewTimer = null;
+
+// Thrown for scripts that can't be drawn, with the 1-based line at fault
+class SceneScriptError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'SceneScriptError';
+        this.line = line;
+    }
+}
+
+/**
+ * Parse a scene script into { statements, components }. Statements are
+ * { keyword, args, options, line } with `children` for groups, and options
+ * a Map of name -> text; components is a Map of names to { params,
+ * children, line }. Nothing is checked against
+ * component parameters yet, since `$name` values are only known when used.
+ */
+function parseSceneScript(text) {
+    const program = { statements: [], components: new Map() };
+    const blocks = [{ keyword: null, children: program.statements }];
+    
+    text.split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        const commentStart = rawLine.indexOf('//');
+        const content = (commentStart === -1 ? rawLine : rawLine.slice(0, commentStart)).trim();
+        if (content === '') return;
+        
+        const [keyword, ...tokens] = content.split(/\s+/);
+        const args = [];
+        const options = new Map();
+        for (const token of tokens) {
+            const equals = token.indexOf('=');
+            if (equals === -1) {
+                args.push(token);
+                continue;
+            }
+            const key = token.slice(0, equals);
+            if (options.has(key)) {
+                throw new SceneScriptError(`"${key}" is given twice`, line);
+            }
+            options.set(key, token.slice(equals + 1));
+        }
+        
+        const block = blocks[blocks.length - 1];
+        switch (keyword) {
+            case 'end':
+                if (blocks.length === 1) {
+                    throw new SceneScriptError('"end" without a matching "group" or "define"', line);
+                }
+                blocks.pop();
+                return;
+            case 'define': {
+                if (blocks.length > 1) {
+                    throw new SceneScriptError('components can only be defined at the top level', line);
+                }
+                if (args.length !== 1 || !/^[A-Za-z_]\w*$/.test(args[0])) {
+                    throw new SceneScriptError('"define" needs one component name, e.g. define tree', line);
+                }
+                const name = args[0];
+                if (SCRIPT_SHAPES.has(name) || ['define', 'group', 'use', 'end'].includes(name)) {
+                    throw new SceneScriptError(`"${name}" is a built-in statement and can't be a component name`, line);
+                }
+                if (program.components.has(name)) {
+                    throw new SceneScriptError(`component "${name}" is already defined on line ${program.components.get(name).line}`, line);
+                }
+                const component = { keyword: 'define', params: options, children: [], line: line };
+                program.components.set(name, component);
+                blocks.push(component);
+                return;
+            }
+            case 'group': {
+                const group = { keyword: 'group', args: args, options: options, children: [], line: line };
+                block.children.push(group);
+                blocks.push(group);
+                return;
+            }
+            case 'use':
+                block.children.push({ keyword: keyword, args: args, options: options, line: line });
+                return;
+            default:
+                if (!SCRIPT_SHAPES.has(keyword)) {
+                    const hint = program.components.has(keyword) ? ` (components are drawn with "use ${keyword}")` : '';
+                    throw new SceneScriptError(`unknown statement "${keyword}"${hint}`, line);
+                }
+                block.children.push({ keyword: keyword, args: args, options: options, line: line });
+        }
+    });
+    
+    if (blocks.length > 1) {
+        const open = blocks[blocks.length - 1];
+        throw new SceneScriptError(`"${open.keyword}" is never closed with "end"`, open.line);
+    }
+    return program;
+}
+
+// Affine transforms are { a, b, c, d, e, f }: x' = a x + c y + e, y' = b x + d y + f
+const IDENTITY_TRANSFORM = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+// `outer` applied after `inner`
+function composeTransforms(outer, inner) {
+    return {
+        a: outer.a * inner.a + outer.c * inner.b,
+        b: outer.b * inner.a + outer.d * inner.b,
+        c: outer.a * inner.c + outer.c * inner.d,
+        d: outer.b * inner.c + outer.d * inner.d,
+        e: outer.a * inner.e + outer.c * inner.f + outer.e,
+        f: outer.b * inner.e + outer.d * inner.f + outer.f
+    };
+}
+
+// Overall scale of a transform that only moves, rotates, flips and scales evenly; null if it stretches or skews
+function uniformScale(t) {
+    const scaleX = Math.hypot(t.a, t.b);
+    const scaleY = Math.hypot(t.c, t.d);
+    const tolerance = 1e-9 * Math.max(scaleX, scaleY, 1);
+    if (Math.abs(scaleX - scaleY) > tolerance || Math.abs(t.a * t.c + t.b * t.d) > tolerance) return null;
+    return scaleX;
+}
+
+// Number in a script, or a SceneScriptError naming `what` it was meant to be
+function parseScriptNumber(token, line, what) {
+    const value = Number(token);
+    if (token === '' || !Number.isFinite(value)) {
+        throw new SceneScriptError(`${what} must be a number, not "${token}"`, line);
+    }
+    return value;
+}
+
+// Comma-separated numbers, e.g. at=0.5,-0.3
+function parseScriptNumbers(value, count, line, what) {
+    const parts = value.split(',');
+    if (!count.includes(parts.length)) {
+        throw new SceneScriptError(`${what} takes ${count.join(' or ')} comma-separated numbers, not "${value}"`, line);
+    }
+    return parts.map(part => parseScriptNumber(part, line, what));
+}
+
+function parseScriptColor(value, line) {
+    if (SCRIPT_COLORS.has(value)) {
+        return [...SCRIPT_COLORS.get(value)];
+    }
+    if (/^#[0-9a-fA-F]{6}$/.test(value)) {
+        return parseHexColor(value);
+    }
+    if (/^#[0-9a-fA-F]{3}$/.test(value)) {
+        return [1, 2, 3].map(i => parseInt(value[i], 16) / 15);
+    }
+    if (value.includes(',')) {
+        const color = parseScriptNumbers(value, [3], line, 'color');
+        if (color.every(c => c >= 0 && c <= 1)) return color;
+    }
+    throw new SceneScriptError(`"${value}" is not a color; use #rrggbb, #rgb, r,g,b (0 to 1) or one of ${[...SCRIPT_COLORS.keys()].join(', ')}`, line);
+}
+
+// Replace each $name in `token` with the component parameter's value
+function substituteScriptParams(token, params, line) {
+    return token.replace(/\$(\w+)/g, (match, name) => {
+        if (!params.has(name)) {
+            throw new SceneScriptError(`unknown parameter "$${name}"`, line);
+        }
+        return params.get(name);
+    });
+}
+
+// The transform given by a group or use statement's at=, scale= and rotate=
+function transformFromOptions(options, line) {
+    const [x, y] = options.has('at') ? parseScriptNumbers(options.get('at'), [2], line, 'at') : [0, 0];
+    const [scaleX, scaleY = scaleX] = options.has('scale') ? parseScriptNumbers(options.get('scale'), [1, 2], line, 'scale') : [1];
+    const angle = options.has('rotate') ? parseScriptNumber(options.get('rotate'), line, 'rotate') * Math.PI / 180 : 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Scale, then rotate, then move into place
+    return { a: cos * scaleX, b: sin * scaleX, c: -sin * scaleY, d: cos * scaleY, e: x, f: y };
+}
+
+function checkScriptOptions(statement, options, allowed) {
+    for (const key of options.keys()) {
+        if (!allowed.includes(key)) {
+            throw new SceneScriptError(`"${statement.keyword}" has no option "${key}" (it takes ${allowed.join(', ')})`, statement.line);
+        }
+    }
+}
+
+// Build a shape statement's shape in its own coordinates
+function buildScriptShape(statement, args, options) {
+    const { keyword, line } = statement;
+    const spec = SCRIPT_SHAPES.get(keyword);
+    checkScriptOptions(statement, options, [...SCRIPT_SHAPE_OPTIONS, ...spec.options]);
+    if (args.length < spec.min || args.length > spec.max || (spec.step && args.length % spec.step !== 0)) {
+        const expected = spec.max === Infinity ? `${spec.min / 2} or more x y pairs` : `${spec.min} numbers`;
+        throw new SceneScriptError(`"${keyword}" takes ${expected}, but got ${args.length}`, line);
+    }
+    
+    const numbers = args.map((arg, i) => parseScriptNumber(arg, line, `${keyword} value ${i + 1}`));
+    const pairs = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+        pairs.push([numbers[i], numbers[i + 1]]);
+    }
+    
+    const color = options.has('color') ? parseScriptColor(options.get('color'), line) : [1.0, 1.0, 1.0];
+    const alpha = options.has('alpha') ? parseScriptNumber(options.get('alpha'), line, 'alpha') : 1.0;
+    if (alpha < 0 || alpha > 1) {
+        throw new SceneScriptError('alpha must be between 0 and 1', line);
+    }
+    const segments = options.has('segments') ? parseScriptNumber(options.get('segments'), line, 'segments') : 24;
+    if (!Number.isInteger(segments) || segments < 3) {
+        throw new SceneScriptError('segments must be a whole number of at least 3', line);
+    }
+    
+    let shape;
+    switch (keyword) {
+        case 'point': {
+            const size = options.has('size') ? parseScriptNumber(options.get('size'), line, 'size') : 10;
+            shape = new Point(numbers[0], numbers[1], color, size, alpha);
+            break;
+        }
+        case 'triangle':
+            shape = new Triangle(pairs, color, 10, alpha);
+            break;
+        case 'rect': {
+            const [x, y, width, height] = numbers;
+            shape = new Rectangle([[x, y], [x + width, y], [x + width, y + height], [x, y + height]], color, alpha);
+            break;
+        }
+        case 'polygon':
+            shape = new Polygon(pairs, color, alpha);
+            break;
+        case 'circle':
+            // Circle radius is size / 100 painting units
+            shape = new Circle(numbers[0], numbers[1], color, numbers[2] * 100, segments, alpha);
+            break;
+        case 'ellipse': {
+            const [x, y, radiusX, radiusY] = numbers;
+            shape = new Ellipse([[x, y], [x + radiusX, y], [x, y + radiusY]], color, segments, alpha);
+            break;
+        }
+        case 'line': {
+            const width = options.has('width') ? parseScriptNumber(options.get('width'), line, 'width') : 2;
+            shape = new Stroke(pairs, color, width, alpha, false);
+            break;
+        }
+    }
+    
+    if (options.has('gradient')) {
+        const toColor = parseScriptColor(options.get('gradient'), line);
+        const type = options.get('gradientType') || 'linear';
+        if (type === 'radial') {
+            if (keyword !== 'circle' && keyword !== 'ellipse') {
+                throw new SceneScriptError('radial gradients only work on circles and ellipses', line);
+            }
+            shape.gradient = { type: 'radial', color: toColor };
+        } else if (type === 'linear') {
+            const angle = options.has('angle') ? parseScriptNumber(options.get('angle'), line, 'angle') : 90;
+            shape.gradient = linearGradientAcross(shape, toColor, angle);
+        } else {
+            throw new SceneScriptError(`gradientType must be linear or radial, not "${type}"`, line);
+        }
+    }
+    return shape;
+}
+
+// Move a shape from its own coordinates into the painting
+function transformScriptShape(shape, t) {
+    const mapPoint = (x, y) => [t.a * x + t.c * y + t.e, t.b * x + t.d * y + t.f];
+    const scale = uniformScale(t);
+    if (scale !== null) {
+        return shape.transformed(mapPoint, scale);
+    }
+    
+    // Circles can't stretch, but an ellipse through the same points can
+    if (shape.type === 'circle') {
+        const [x, y] = shape.vertices[0];
+        const radius = shape.size / 100;
+        const ellipse = new Ellipse([[x, y], [x + radius, y], [x, y + radius]], shape.color, shape.segments, shape.alpha);
+        ellipse.gradient = shape.gradient;
+        return ellipse.transformed(mapPoint);
+    }
+    return shape.transformed(mapPoint, Math.sqrt(Math.abs(t.a * t.d - t.b * t.c)));
+}
+
+// Shapes a parsed script draws, in order
+function evaluateSceneScript(program) {
+    const shapes = [];
+    
+    const run = (statements, transform, params, depth) => {
+        for (const statement of statements) {
+            const { keyword, line } = statement;
+            const args = statement.args.map(arg => substituteScriptParams(arg, params, line));
+            const options = new Map();
+            for (const [key, value] of statement.options) {
+                options.set(key, substituteScriptParams(value, params, line));
+            }
+            
+            if (keyword === 'group') {
+                checkScriptOptions(statement, options, SCRIPT_TRANSFORM_OPTIONS);
+                if (args.length > 0) {
+                    throw new SceneScriptError('"group" only takes at=, scale= and rotate=', line);
+                }
+                run(statement.children, composeTransforms(transform, transformFromOptions(options, line)), params, depth);
+            } else if (keyword === 'use') {
+                if (args.length !== 1) {
+                    throw new SceneScriptError('"use" needs one component name, e.g. use tree at=0,-0.3', line);
+                }
+                const component = program.components.get(args[0]);
+                if (!component) {
+                    throw new SceneScriptError(`no component named "${args[0]}"`, line);
+                }
+                if (depth >= MAX_COMPONENT_DEPTH) {
+                    throw new SceneScriptError(`components nest too deeply; does "${args[0]}" use itself?`, line);
+                }
+                
+                const componentParams = new Map(component.params);
+                for (const [key, value] of options) {
+                    if (SCRIPT_TRANSFORM_OPTIONS.includes(key)) continue;
+                    if (!component.params.has(key)) {
+                        throw new SceneScriptError(`"${args[0]}" has no parameter "${key}"`, line);
+                    }
+                    componentParams.set(key, value);
+                }
+                const local = transformFromOptions(options, line);
+                run(component.children, composeTransforms(transform, local), componentParams, depth + 1);
+            } else {
+                shapes.push(transformScriptShape(buildScriptShape(statement, args, options), transform));
+            }
+        }
+    };
+    
+    run(program.statements, IDENTITY_TRANSFORM, new Map(), 0);
+    return shapes;
+}
+
+// Parse and draw a script in one go, throwing SceneScriptError for mistakes
+function sceneScriptToShapes(text) {
+    return evaluateSceneScript(parseSceneScript(text));
+}
+
+// Re-run the editor's script, keeping the last good preview while it has errors
+function updateScriptPreview() {
+    scriptPreviewTimer = null;
+    const errorDisplay = document.getElementById('sceneScriptError');
+    try {
+        const shapes = sceneScriptToShapes(document.getElementById('sceneScript').value);
+        scriptPreview = document.getElementById('scriptLivePreview').checked ? shapes : null;
+        errorDisplay.textContent = `${shapes.length} shapes`;
+        errorDisplay.classList.remove('error');
+    } catch (err) {
+        if (!(err instanceof SceneScriptError)) throw err;
+        errorDisplay.textContent = err.message;
+        errorDisplay.classList.add('error');
+    }
+    renderAllShapes();
+}
+
+// Wait for a pause in typing before re-running the script
+function scheduleScriptPreview() {
+    clearTimeout(scriptPreviewTimer);
+    scriptPreviewTimer = setTimeout(updateScriptPreview, SCRIPT_PREVIEW_DELAY_MS);
+}
+
+// Add the script's shapes to the active layer, or replace the layer's shapes with them
+function commitSceneScript(replace) {
+    let shapes;
+    try {
+        shapes = sceneScriptToShapes(document.getElementById('sceneScript').value);
+    } catch (err) {
+        if (!(err instanceof SceneScriptError)) throw err;
+        alert(`The script has a mistake. ${err.message}`);
+        return;
+    }
+    
+    // The committed shapes would sit right under an identical preview
+    scriptPreview = null;
+    if (replace) {
+        replaceShapes(shapes);
+    } else if (recordHistory()) {
+        shapesList.push(...shapes);
+        renderAllShapes();
+    }
+}
+
+function appendScriptPreview(batch) {
+    if (!scriptPreview) return;
+    scriptPreview.forEach(shape => batch.append(shape));
+}
+
+function openSceneScript(file) {
+    const reader = new FileReader();
+    reader.onload = function() {
+        document.getElementById('sceneScript').value = reader.result;
+        updateScriptPreview();
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}"`);
+    };
+    reader.readAsText(file);
+}
+
+function saveSceneScript() {
+    const blob = new Blob([document.getElementById('sceneScript').value], { type: 'text/plain' });
+    downloadBlob(blob, 'scene.txt');
+}
+
+function setupSceneScriptEditor() {
+    document.getElementById('sceneScript').addEventListener('input', scheduleScriptPreview);
+    document.getElementById('scriptLivePreview').addEventListener('change', updateScriptPreview);
+    document.getElementById('addScriptBtn').addEventListener('click', function() {
+        commitSceneScript(false);
+    });
+    document.getElementById('replaceScriptBtn').addEventListener('click', function() {
+        commitSceneScript(true);
+    });
+    document.getElementById('saveScriptBtn').addEventListener('click', saveSceneScript);
+    
+    const scriptFileInput = document.getElementById('scriptFileInput');
+    document.getElementById('openScriptBtn').addEventListener('click', function() {
+        scriptFileInput.click();
+    });
+    scriptFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            openSceneScript(this.files[0]);
+        }
+        this.value = '';
+    });
+}
+
+/***********************
+ * HELPER SCENE FUNCTIONS
+ ***********************/
+
+// Color scaled towards black by `light` (1 leaves it as is)
+function shadeColor(color, light) {
+    return color.map(c => c * light);
+}
+
+// Full-width band of the painting between two heights, as two triangles
+function drawBand(top, bottom, color) {
+    shapesList.push(new Triangle(
+        [[-1.0, top], [1.0, top], [-1.0, bottom]],
+        color, 10, 1.0
+    ));
+    shapesList.push(new Triangle(
+        [[1.0, bottom], [1.0, top], [-1.0, bottom]],
+        color, 10, 1.0
+    ));
+}
+
+// Sky above `horizonY`, fading from the horizon color up to the top, with its sun or moon (and stars at night)
+function drawSky(sky, horizonY, random) {
+    const gradient = { type: 'linear', color: sky.top, from: [0.0, horizonY], to: [0.0, 1.0] };
+    shapesList.push(withGradient(new Triangle(
+        [[-1.0, 1.0], [1.0, 1.0], [-1.0, horizonY]],
+        sky.horizon, 10, 1.0
+    ), gradient));
+    shapesList.push(withGradient(new Triangle(
+        [[1.0, 1.0], [1.0, horizonY], [-1.0, horizonY]],
+        sky.horizon, 10, 1.0
+    ), gradient));
+    
+    if (sky.body === 'moon') {
+        const starCount = 4 + Math.floor(random() * 9);
+        for (let i = 0; i < starCount; i++) {
+            const x = random() * 2 - 1;
+            const y = horizonY + 0.1 + random() * (0.9 - horizonY);
+            shapesList.push(new Circle(x, y, [1.0, 1.0, 1.0], 3 + random() * 3, 12, 1.0));
+        }
+    }
+    
+    // Sun (glowing white-hot in the middle) or moon, somewhere off to one side
+    const bodyX = (0.55 + random() * 0.3) * (random() < 0.5 ? -1 : 1);
+    const bodyY = Math.max(sky.bodyY, horizonY + 0.15);
+    if (sky.body === 'sun') {
+        shapesList.push(withGradient(
+            new Circle(bodyX, bodyY, sky.bodyColor, 30, 24, 1.0),
+            { type: 'radial', color: sky.glow }
+        ));
+    } else {
+        shapesList.push(new Circle(bodyX, bodyY, sky.bodyColor, 40, 24, 1.0));
+    }
+}
+
+// `count` x positions spread across minX..maxX, each jittered within its share of the width
+function spreadPositions(count, minX, maxX, random) {
+    const slot = (maxX - minX) / count;
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        positions.push(minX + (i + 0.5) * slot + (random() - 0.5) * slot * 0.6);
+    }
+    return positions;
+}
+
+// Puffy cloud of a few overlapping circles
+function drawCloud(x, y, color, random) {
+    const puffs = 2 + Math.floor(random() * 3);
+    for (let i = 0; i < puffs; i++) {
+        shapesList.push(new Circle(x + i * 0.15, y + (random() - 0.5) * 0.06, color, 22 + random() * 12, 16, 0.8));
+    }
+}
+
+/** 
+ * 1) Example: Forest Scene
+ *    Similar to your original tree scene, but we'll add 
+ *    a couple of extra trees or variations.
+ */
+function drawForestScene({ timeOfDay, treeCount, palette }, random) {
+    const sky = SCENE_SKIES[timeOfDay];
+    const colors = SCENE_PALETTES[palette];
+    
+    // Sky
+    drawSky(sky, -0.3, random);
+
+    // Ground
+    drawBand(-0.3, -1.0, shadeColor(colors.ground, sky.light));
+
+    // Trees along the horizon, the ones further back (higher up) first
+    const trees = spreadPositions(treeCount, -0.9, 0.9, random).map(x => ({ x: x, y: -0.3 - random() * 0.15 }));
+    trees.sort((a, b) => b.y - a.y);
+    for (const tree of trees) {
+        drawSimpleTree(tree.x, tree.y, shadeColor(colors.trunk, sky.light), shadeColor(colors.foliage, sky.light));
+    }
+
+    // Clouds by day, birds only in daylight
+    if (timeOfDay !== 'night') {
+        const cloudColor = timeOfDay === 'sunset' ? [1.0, 0.8, 0.7] : [1.0, 1.0, 1.0];
+        drawCloud(-0.8 + random() * 0.4, 0.6 + random() * 0.2, cloudColor, random);
+        if (random() < 0.5) {
+            drawCloud(0.1 + random() * 0.3, 0.5 + random() * 0.2, cloudColor, random);
+        }
+    }
+    if (timeOfDay === 'day') {
+        const birdColor = [0.3, 0.3, 0.3];
+        const birdX = -0.8 + random() * 1.2;
+        const birdY = 0.3 + random() * 0.2;
+        shapesList.push(new Triangle(
+            [[birdX, birdY], [birdX + 0.1, birdY + 0.1], [birdX - 0.1, birdY + 0.1]],
+            birdColor, 10, 0.7
+        ));
+        shapesList.push(new Triangle(
+            [[birdX + 0.2, birdY], [birdX + 0.1, birdY + 0.1], [birdX, birdY]],
+            birdColor, 10, 0.7
+        ));
+    }
+}
+
+/**
+ * 2) Beach Scene
+ *    Includes sky, ocean, and sand, plus a sun or palm tree.
+ */
+function drawBeachScene({ timeOfDay, treeCount, palette }, random) {
+    const sky = SCENE_SKIES[timeOfDay];
+    const colors = SCENE_PALETTES[palette];
+    
+    // Sky, pale at the horizon and deeper overhead
+    drawSky(sky, 0.0, random);
+
+    // Ocean (blue band)
+    drawBand(0.0, -0.3, shadeColor(colors.water, sky.light));
+    
+    // Sand
+    drawBand(-0.3, -1.0, shadeColor(colors.sand, sky.light));
+
+    // Palm trees on the sand
+    for (const x of spreadPositions(treeCount, -0.8, 0.7, random)) {
+        drawPalmTree(x, -0.3 - random() * 0.3, shadeColor(colors.trunk, sky.light), shadeColor(colors.palm, sky.light));
+    }
+}
+
+// Palm tree whose trunk's bottom-left corner is at (x, y)
+function drawPalmTree(x, y, trunkColor, leafColor) {
+    // Trunk
+    shapesList.push(new Triangle(
+        [[x, y], [x, y + 0.3], [x + 0.1, y + 0.3]],
+        trunkColor, 10, 1.0
+    ));
+    shapesList.push(new Triangle(
+        [[x, y], [x + 0.1, y], [x + 0.1, y + 0.3]],
+        trunkColor, 10, 1.0
+    ));
+    
+    // Palm leaves fanning out from the top of the trunk
+    const cx = x + 0.05;
+    const cy = y + 0.3;
+    shapesList.push(new Triangle(
+        [[cx, cy], [cx - 0.25, cy + 0.2], [cx + 0.25, cy + 0.2]],
+        leafColor, 10, 0.9
+    ));
+    shapesList.push(new Triangle(
+        [[cx, cy], [cx - 0.35, cy + 0.1], [cx - 0.15, cy]],
+        leafColor, 10, 0.9
+    ));
+    shapesList.push(new Triangle(
+        [[cx, cy], [cx + 0.35, cy + 0.1], [cx + 0.15, cy]],
+        leafColor, 10, 0.9
+    ));
+    shapesList.push(new Triangle(
+        [[cx, cy], [cx - 0.15, cy - 0.1], [cx + 0.15, cy - 0.1]],
+        leafColor, 10, 0.9
+    ));
+}
+
+/**
+ * 3) Mountain Scene
+ *    Overlapping triangles of different colors to create a mountain range.
+ */
+function drawMountainScene({ timeOfDay, treeCount, palette }, random) {
+    const sky = SCENE_SKIES[timeOfDay];
+    const colors = SCENE_PALETTES[palette];
+    
+    // Sky background
+    drawSky(sky, -0.5, random);
+
+    // Mountain range, each peak a slightly different shade, with a snow cap
+    for (const peakX of spreadPositions(2 + Math.floor(random() * 3), -0.8, 0.8, random)) {
+        const height = 0.5 + random() * 0.5;
+        const halfWidth = 0.5 + random() * 0.2;
+        const peakY = -0.5 + height;
+        shapesList.push(new Triangle(
+            [[peakX - halfWidth, -0.5], [peakX, peakY], [peakX + halfWidth, -0.5]],
+            shadeColor(colors.rock, sky.light * (0.9 + random() * 0.3)), 10, 1.0
+        ));
+        
+        const capDepth = height / 6;
+        const capHalfWidth = halfWidth / 6 * 0.8;
+        shapesList.push(new Triangle(
+            [[peakX - capHalfWidth, peakY - capDepth], [peakX, peakY], [peakX + capHalfWidth, peakY - capDepth]],
+            shadeColor([1.0, 1.0, 1.0], sky.light), 10, 1.0
+        ));
+    }
+
+    // Foreground ground
+    drawBand(-0.5, -1.0, shadeColor(colors.ground, sky.light));
+    
+    // Add a small lake
+    const lakeX = (random() - 0.5) * 0.8;
+    shapesList.push(new Circle(lakeX, -0.7, shadeColor(colors.water, sky.light), 25 + random() * 10, 24, 0.8));
+    
+    // Trees, keeping clear of the lake
+    for (const x of spreadPositions(treeCount, -0.95, 0.95, random)) {
+        if (Math.abs(x - lakeX) < 0.2) continue;
+        drawSimpleTree(x, -0.55 - random() * 0.3, shadeColor(colors.trunk, sky.light), shadeColor(colors.foliage, sky.light));
+    }
+}
+
+/**
+ * 4) Moonlit Scene
+ *    Dark sky, moon, a few stars, maybe silhouettes of trees.
+ */
+function drawMoonlitScene({ treeCount, palette }, random) {
+    const colors = SCENE_PALETTES[palette];
+    
+    // Dark sky, a little lighter towards the horizon, with the moon and stars
+    drawSky(SCENE_SKIES.night, -0.6, random);
+
+    // Silhouette ground
+    drawBand(-0.6, -1.0, shadeColor(colors.ground, 0.15));
+
+    // Silhouette trees
+    for (const x of spreadPositions(treeCount, -0.9, 0.9, random)) {
+        drawSimpleTree(x, -0.6, shadeColor(colors.trunk, 0.15), shadeColor(colors.foliage, 0.2));
+    }
+}
+
+/**
+ * Helper to draw a simple tree at (x, y). 
+ * Optionally pass in color for trunk/foliage if you want variation.
+ */
+function drawSimpleTree(x, y, trunkColor = [0.6, 0.4, 0.2], leavesColor = [0.2, 0.8, 0.2]) {
+    // Trunk (two triangles to form a rectangle)
+    shapesList.push(new Triangle(
+        [[x - 0.05, y], [x - 0.05, y + 0.2], [x + 0.05, y + 0.2]],
+        trunkColor, 10, 1.0
+    ));
+    shapesList.push(new Triangle(
+        [[x - 0.05, y], [x + 0.05, y,], [x + 0.05, y + 0.2]],
+        trunkColor, 10, 1.0
+    ));
+
+    // Foliage (three triangles, stacked)
+    shapesList.push(new Triangle(
+        [[x, y + 0.5], [x - 0.15, y + 0.2], [x + 0.15, y + 0.2]],
+        leavesColor, 10, 1.0
+    ));
+    shapesList.push(new Triangle(
+        [[x, y + 0.35], [x - 0.12, y + 0.15], [x + 0.12, y + 0.15]],
+        leavesColor, 10, 1.0
+    ));
+    shapesList.push(new Triangle(
+        [[x, y + 0.25], [x - 0.1, y + 0.05], [x + 0.1, y + 0.05]],
+        leavesColor, 10, 1.0
+    ));
+}
+
+// Function to save canvas as an image
+function saveCanvasAsImage() {
+    // Capture the painting without selection outlines and other editing aids
+    renderAllShapes(false);
+    const link = document.createElement('a');
+    link.download = 'webgl-painting.png';
+    link.href = canvas.toDataURL('image/png');
+    renderAllShapes();
+    link.click();
+}
+
+// Largest PNG export. Its pixels are held several times over (export and layer
+// textures, readback, canvas, encoder), and at 8192 x 8192 one copy is already 256 MB
+const MAX_EXPORT_SIZE = 8192;
+
+// Largest offscreen render, in pixels per side, that MAX_EXPORT_SIZE and the device allow
+function maxOffscreenSize() {
+    return Math.min(MAX_EXPORT_SIZE, gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+}
+
+/**
+ * Render `layerList` (the whole painting by default) into an offscreen
+ * framebuffer of `width` x `height` pixels and read it back as top-down,
+ * non-premultiplied RGBA. `area` is the { minX, minY, maxX, maxY } of the
+ * painting to show, the -1..1 painting area if null. Everything is in WebGL
+ * units, so point sizes and strokes scale with the resolution.
+ */
+function renderPaintingOffscreen(width, height, transparent = false, area = null, layerList = layers) {
+    const maxSize = maxOffscreenSize();
+    if (width > maxSize || height > maxSize) {
+        throw new Error(`This device can only export up to ${maxSize} x ${maxSize} pixels`);
+    }
+    
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error('Could not create an offscreen image of that size');
+        }
+        
+        gl.viewport(0, 0, width, height);
+        if (area) {
+            const scaleX = 2 / (area.maxX - area.minX);
+            const scaleY = 2 / (area.maxY - area.minY);
+            applyViewMatrix(new Float32Array([
+                scaleX, 0, 0,
+                0, scaleY, 0,
+                -(area.minX + area.maxX) / 2 * scaleX, -(area.minY + area.maxY) / 2 * scaleY, 1
+            ]));
+        } else {
+            applyViewMatrix(new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]));
+        }
+        gl.clearColor(0.0, 0.0, 0.0, transparent ? 0.0 : 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        
+        drawLayers(layerList, framebuffer, width, height);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    } finally {
+        // Put everything back the way the on-screen canvas expects it
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteTexture(texture);
+        gl.viewport(0, 0, canvas.width, canvas.height);
+        applyViewMatrix(viewMatrix);
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    }
+    
+    // WebGL rows start at the bottom, and colors come back multiplied by alpha.
+    // Both are fixed in place so a large export doesn't need a second copy
+    const image = new Uint8ClampedArray(pixels.buffer);
+    const rowLength = width * 4;
+    const row = new Uint8ClampedArray(rowLength);
+    for (let y = 0; y < height / 2; y++) {
+        const top = y * rowLength;
+        const bottom = (height - 1 - y) * rowLength;
+        row.set(image.subarray(top, top + rowLength));
+        image.copyWithin(top, bottom, bottom + rowLength);
+        image.set(row, bottom);
+    }
+    for (let i = 0; i < image.length; i += 4) {
+        const a = image[i + 3];
+        if (a === 255) continue;
+        const scale = a === 0 ? 0 : 255 / a;
+        image[i] *= scale;
+        image[i + 1] *= scale;
+        image[i + 2] *= scale;
+    }
+    return image;
+}
+
+// Download the painting as a PNG of `size` x `size` pixels
+function exportHighResPNG(size, transparent) {
+    let image;
+    try {
+        image = renderPaintingOffscreen(size, size, transparent);
+    } catch (err) {
+        alert(err.message);
+        return;
+    } finally {
+        renderAllShapes();
+    }
+    
+    const output = document.createElement('canvas');
+    output.width = size;
+    output.height = size;
+    output.getContext('2d').putImageData(new ImageData(image, size, size), 0, 0);
+    
+    output.toBlob(function(blob) {
+        downloadBlob(blob, `webgl-painting-${size}px.png`);
+    }, 'image/png');
+}
+
+// Pixel size picked in the export controls
+function getExportSize() {
+    const scale = document.getElementById('exportScale').value;
+    if (scale === 'custom') {
+        return parseInt(document.getElementById('exportCustomSize').value);
+    }
+    return REFERENCE_CANVAS_SIZE * parseFloat(scale);
+}
+
+/***********************
+ * TIMELAPSE EXPORT
+ ***********************/
+
+const GIF_PALETTE_SIZE = 256;
+// GIF delays are whole hundredths of a second, and browsers slow anything under 2 down to 10
+const MAX_GIF_FPS = 50;
+// Pixels sampled from the finished painting when choosing the GIF palette
+const GIF_PALETTE_SAMPLES = 20000;
+
+let timelapseExport = null; // { cancelled } while frames are being rendered, see exportTimelapse()
+
+// Visible shapes in the order they're revealed: bottom layer first, each in creation order
+function countTimelapseShapes() {
+    return layers.reduce((total, layer) => total + (layer.visible ? layer.shapes.length : 0), 0);
+}
+
+// Render the painting as if only its first `count` shapes (see countTimelapseShapes()) existed
+function renderPartialPainting(count, size) {
+    const fullLayers = layers;
+    let remaining = count;
+    layers = fullLayers.map(layer => {
+        if (!layer.visible) return layer;
+        const shown = Math.max(0, Math.min(remaining, layer.shapes.length));
+        remaining -= shown;
+        return { ...layer, shapes: layer.shapes.slice(0, shown) };
+    });
+    
+    try {
+        return renderPaintingOffscreen(size, size);
+    } finally {
+        layers = fullLayers;
+    }
+}
+
+/**
+ * Up to `maxColors` colors that represent the RGBA `image` well, by median
+ * cut over a sample of its pixels: keep splitting the box with the widest
+ * channel range at its median, then average each box.
+ */
+function medianCutPalette(image, maxColors) {
+    const pixelCount = image.length / 4;
+    const step = Math.max(1, Math.floor(pixelCount / GIF_PALETTE_SAMPLES));
+    const samples = [];
+    for (let i = 0; i < pixelCount; i += step) {
+        samples.push([image[i * 4], image[i * 4 + 1], image[i * 4 + 2]]);
+    }
+    
+    const channelRange = (box, channel) => {
+        let min = 255;
+        let max = 0;
+        for (const color of box) {
+            min = Math.min(min, color[channel]);
+            max = Math.max(max, color[channel]);
+        }
+        return max - min;
+    };
+    const widestChannel = box => [0, 1, 2].reduce((best, c) => channelRange(box, c) > channelRange(box, best) ? c : best, 0);
+    
+    const boxes = [samples];
+    while (boxes.length < maxColors) {
+        // Split the box with the most spread; stop once every box is a single color
+        let target = -1;
+        let targetRange = 0;
+        boxes.forEach((box, i) => {
+            const range = channelRange(box, widestChannel(box));
+            if (box.length > 1 && range > targetRange) {
+                target = i;
+                targetRange = range;
+            }
+        });
+        if (target === -1) break;
+        
+        const box = boxes[target];
+        const channel = widestChannel(box);
+        box.sort((a, b) => a[channel] - b[channel]);
+        const middle = box.length >> 1;
+        boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+    }
+    
+    return boxes.map(box => {
+        const sum = box.reduce((total, color) => [total[0] + color[0], total[1] + color[1], total[2] + color[2]], [0, 0, 0]);
+        return sum.map(channel => Math.round(channel / box.length));
+    });
+}
+
+/**
+ * Minimal animated GIF89a writer: one global palette, full frames, looping
+ * forever. Frames are LZW-compressed as they're added, so only the
+ * compressed bytes are kept.
+ */
+class GifEncoder {
+    constructor(width, height, palette) {
+        this.width = width;
+        this.height = height;
+        this.palette = palette;
+        this.nearestCache = new Map(); // 0xRRGGBB -> palette index
+        this.chunks = [];
+        this.writeHeader();
+    }
+
+    // Header, screen descriptor, global color table and the looping extension
+    writeHeader() {
+        const bytes = [...'GIF89a'].map(c => c.charCodeAt(0));
+        bytes.push(...this.uint16(this.width), ...this.uint16(this.height));
+        // Global color table of 256 entries, 8 bits per channel
+        bytes.push(0xF7, 0, 0);
+        for (let i = 0; i < GIF_PALETTE_SIZE; i++) {
+            const color = this.palette[i] || [0, 0, 0];
+            bytes.push(color[0], color[1], color[2]);
+        }
+        // NETSCAPE2.0 application extension: loop count 0 means forever
+        bytes.push(0x21, 0xFF, 11, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0);
+        this.chunks.push(new Uint8Array(bytes));
+    }
+
+    uint16(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF];
+    }
+
+    // Palette index closest to a color
+    nearestIndex(r, g, b) {
+        const key = (r << 16) | (g << 8) | b;
+        let index = this.nearestCache.get(key);
+        if (index !== undefined) return index;
+        
+        let bestDistance = Infinity;
+        this.palette.forEach((color, i) => {
+            const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                index = i;
+            }
+        });
+        this.nearestCache.set(key, index);
+        return index;
+    }
+
+    // Add an RGBA frame shown for `delay` hundredths of a second
+    addFrame(image, delay) {
+        const indices = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = this.nearestIndex(image[i * 4], image[i * 4 + 1], image[i * 4 + 2]);
+        }
+        
+        const bytes = [
+            // Graphic control extension: no transparency, frame delay
+            0x21, 0xF9, 4, 0, ...this.uint16(delay), 0, 0,
+            // Image descriptor covering the whole screen, using the global palette
+            0x2C, 0, 0, 0, 0, ...this.uint16(this.width), ...this.uint16(this.height), 0
+        ];
+        this.chunks.push(new Uint8Array(bytes));
+        this.chunks.push(lzwEncodeGif(indices, 8));
+    }
+
+    // The finished file
+    finish() {
+        this.chunks.push(new Uint8Array([0x3B]));
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+}
+
+/**
+ * GIF flavoured LZW of palette indices, packed into sub-blocks of at most
+ * 255 bytes (preceded by the minimum code size and followed by a zero-length
+ * block), ready to follow an image descriptor.
+ */
+function lzwEncodeGif(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map(); // (prefix code << 8 | index) -> code
+    
+    let bits = 0;
+    let bitCount = 0;
+    const writeCode = code => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        
+        writeCode(prefix);
+        if (nextCode === 4096) {
+            // Table full: start over rather than keep coding with stale entries
+            writeCode(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+        output.push(bits & 0xFF);
+    }
+    
+    const blocks = [minCodeSize];
+    for (let i = 0; i < output.length; i += 255) {
+        const block = output.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return new Uint8Array(blocks);
+}
+
+// Timelapse options from the export panel, or null (after telling the user) if any are out of range
+function getTimelapseOptions() {
+    const options = {
+        format: document.getElementById('timelapseFormat').value,
+        size: parseInt(document.getElementById('timelapseSize').value),
+        duration: parseFloat(document.getElementById('timelapseDuration').value),
+        fps: parseInt(document.getElementById('timelapseFps').value),
+        hold: parseFloat(document.getElementById('timelapseHold').value)
+    };
+    if (!Number.isInteger(options.size) || options.size < 16 || options.size > 2000) {
+        alert('Timelapse size must be between 16 and 2000 pixels');
+        return null;
+    }
+    if (!(options.duration > 0) || !(options.hold >= 0)) {
+        alert('Enter a duration above 0 seconds and a hold of 0 seconds or more');
+        return null;
+    }
+    if (!Number.isInteger(options.fps) || options.fps < 1 || options.fps > 60) {
+        alert('Frame rate must be between 1 and 60');
+        return null;
+    }
+    if (options.format === 'gif' && options.fps > MAX_GIF_FPS) {
+        alert(`GIFs can't play faster than ${MAX_GIF_FPS} frames per second`);
+        return null;
+    }
+    return options;
+}
+
+function setTimelapseStatus(text) {
+    document.getElementById('timelapseStatus').textContent = text;
+}
+
+// Shapes shown in frame `frame` (1-based) of `frameCount`
+function shapesInFrame(frame, frameCount, totalShapes) {
+    return Math.round(totalShapes * frame / frameCount);
+}
+
+/**
+ * Render the painting being built up shape by shape and download it as a
+ * GIF or WebM. Frames are rendered one per timeout so the page stays
+ * responsive. The WebM recorder timestamps frames as they arrive, so its
+ * timing is only as steady as the timeouts; GIF frames get exact delays.
+ */
+function exportTimelapse() {
+    if (timelapseExport) return;
+    const options = getTimelapseOptions();
+    if (!options) return;
+    
+    const totalShapes = countTimelapseShapes();
+    if (totalShapes === 0) {
+        alert('There is nothing to make a timelapse of yet');
+        return;
+    }
+    
+    const frameCount = Math.max(1, Math.round(options.duration * options.fps));
+    if (options.format === 'webm') {
+        exportTimelapseWebM(options, frameCount, totalShapes);
+    } else {
+        exportTimelapseGIF(options, frameCount, totalShapes);
+    }
+}
+
+function exportTimelapseGIF(options, frameCount, totalShapes) {
+    const { size, fps, hold } = options;
+    let encoder;
+    try {
+        // The finished painting has every color any frame will need
+        encoder = new GifEncoder(size, size, medianCutPalette(renderPartialPainting(totalShapes, size), GIF_PALETTE_SIZE));
+    } catch (err) {
+        alert(err.message);
+        return;
+    } finally {
+        renderAllShapes();
+    }
+    
+    // GIF delays are in hundredths of a second. Each frame ends on the rounded
+    // time it's due, so rounding never adds up to drift over the animation
+    const frameEnd = frame => Math.round(frame * 100 / fps);
+    const holdDelay = Math.round(hold * 100);
+    
+    timelapseExport = { cancelled: false };
+    let frame = 1;
+    const renderNext = function() {
+        if (timelapseExport.cancelled) {
+            finishTimelapseExport('Timelapse export cancelled');
+            return;
+        }
+        
+        setTimelapseStatus(`Encoding frame ${frame} of ${frameCount}...`);
+        let image;
+        try {
+            image = renderPartialPainting(shapesInFrame(frame, frameCount, totalShapes), size);
+        } catch (err) {
+            alert(err.message);
+            finishTimelapseExport('Timelapse export failed');
+            return;
+        } finally {
+            renderAllShapes();
+        }
+        const delay = frameEnd(frame) - frameEnd(frame - 1);
+        encoder.addFrame(image, frame === frameCount ? delay + holdDelay : delay);
+        
+        if (frame < frameCount) {
+            frame++;
+            setTimeout(renderNext, 0);
+            return;
+        }
+        downloadBlob(encoder.finish(), 'webgl-painting-timelapse.gif');
+        finishTimelapseExport('');
+    };
+    setTimeout(renderNext, 0);
+}
+
+function exportTimelapseWebM(options, frameCount, totalShapes) {
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+        alert('This browser cannot record video; export a GIF instead');
+        return;
+    }
+    const { size, fps, hold } = options;
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        alert('This browser cannot record WebM video; export a GIF instead');
+        return;
+    }
+    
+    // Frames are copied onto a 2D canvas whose stream is recorded, one requested frame at a time
+    const output = document.createElement('canvas');
+    output.width = size;
+    output.height = size;
+    const context = output.getContext('2d');
+    const stream = output.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+    const chunks = [];
+    recorder.ondataavailable = event => chunks.push(event.data);
+    recorder.onstop = function() {
+        track.stop();
+        if (!timelapseExport) return;
+        if (!timelapseExport.cancelled) {
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'webgl-painting-timelapse.webm');
+        }
+        finishTimelapseExport(timelapseExport.cancelled ? 'Timelapse export cancelled' : '');
+    };
+    recorder.onerror = function(event) {
+        track.stop();
+        if (!timelapseExport) return;
+        timelapseExport.cancelled = true;
+        finishTimelapseExport('Timelapse export failed');
+        alert(`Recording the video failed${event.error ? ': ' + event.error.message : ''}`);
+    };
+    
+    timelapseExport = { cancelled: false };
+    const frameInterval = 1000 / fps;
+    const holdFrames = Math.round(hold * fps);
+    let frame = 1;
+    let startTime;
+    const renderNext = function() {
+        // A recorder error has already finished the export
+        if (!timelapseExport) return;
+        if (timelapseExport.cancelled || frame > frameCount + holdFrames) {
+            recorder.stop();
+            return;
+        }
+        
+        // Past the last frame the finished painting is just shown again for the hold
+        if (frame <= frameCount) {
+            setTimelapseStatus(`Recording frame ${frame} of ${frameCount}...`);
+            let image;
+            try {
+                image = renderPartialPainting(shapesInFrame(frame, frameCount, totalShapes), size);
+            } catch (err) {
+                timelapseExport.cancelled = true;
+                alert(err.message);
+            } finally {
+                renderAllShapes();
+            }
+            if (image) {
+                context.putImageData(new ImageData(image, size, size), 0, 0);
+            }
+        } else {
+            setTimelapseStatus('Holding the final frame...');
+        }
+        track.requestFrame();
+        // Aim each frame at its own time from the start, so slow frames don't push the rest back
+        const due = startTime + frame * frameInterval;
+        frame++;
+        setTimeout(renderNext, Math.max(0, due - performance.now()));
+    };
+    recorder.start();
+    startTime = performance.now();
+    renderNext();
+}
+
+function finishTimelapseExport(status) {
+    timelapseExport = null;
+    setTimelapseStatus(status);
+}
+
+function cancelTimelapseExport() {
+    if (timelapseExport) {
+        timelapseExport.cancelled = true;
+    }
+}
+
+/***********************
+ * SVG EXPORT
+ ***********************/
+
+// Round to two decimals without trailing zeros, to keep the file small
+function svgNumber(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// WebGL (-1..1, y up) to SVG pixels (0..REFERENCE_CANVAS_SIZE, y down)
+function glToSvgPoint(x, y) {
+    const half = REFERENCE_CANVAS_SIZE / 2;
+    return [svgNumber((x + 1) * half), svgNumber((1 - y) * half)];
+}
+
+function svgColor(color) {
+    const [r, g, b] = color.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255));
+    return `rgb(${r},${g},${b})`;
+}
+
+// SVG element for one shape
+function shapeToSVG(shape) {
+    const gradient = shape.gradient ? svgGradient(shape) : null;
+    const paint = gradient ? `url(#${gradient.id})` : svgColor(shape.color);
+    const fill = `fill="${paint}" fill-opacity="${svgNumber(shape.alpha)}"`;
+    const stroke = `fill="none" stroke="${paint}" stroke-opacity="${svgNumber(shape.alpha)}"`;
+    const element = shapeElementToSVG(shape, fill, stroke);
+    // Gradient definitions can sit right next to the shape that uses them
+    return gradient && element ? gradient.definition + element : element;
+}
+
+let svgGradientCount = 0; // For unique gradient ids within one SVG document
+let svgMaskCount = 0; // For unique eraser mask ids within one SVG document
+
+// <linearGradient>/<radialGradient> matching shape.gradient, as { id, definition }
+function svgGradient(shape) {
+    const id = `gradient${++svgGradientCount}`;
+    const stops = `<stop offset="0" stop-color="${svgColor(shape.color)}"/><stop offset="1" stop-color="${svgColor(shape.gradient.color)}"/>`;
+    
+    if (shape.gradient.type === 'radial') {
+        const [cx, cy] = glToSvgPoint(shape.vertices[0][0], shape.vertices[0][1]);
+        // Furthest corner from the center is where the rim color is reached
+        const t = shape.getTriangles();
+        let radius = 0;
+        for (let i = 0; i < t.length; i += 2) {
+            radius = Math.max(radius, Math.hypot(t[i] - shape.vertices[0][0], t[i + 1] - shape.vertices[0][1]));
+        }
+        radius *= REFERENCE_CANVAS_SIZE / 2;
+        return {
+            id: id,
+            definition: `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${svgNumber(radius)}">${stops}</radialGradient>`
+        };
+    }
+    
+    const [x1, y1] = glToSvgPoint(...shape.gradient.from);
+    const [x2, y2] = glToSvgPoint(...shape.gradient.to);
+    return {
+        id: id,
+        definition: `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`
+    };
+}
+
+// SVG element for one shape, given its fill and stroke attributes
+function shapeElementToSVG(shape, fill, stroke) {
+    switch (shape.type) {
+        case 'point': {
+            // Points draw as squares on the canvas, so keep them square
+            const [x, y] = glToSvgPoint(shape.vertices[0][0], shape.vertices[0][1]);
+            const size = shape.size;
+            return `<rect x="${svgNumber(x - size / 2)}" y="${svgNumber(y - size / 2)}" width="${svgNumber(size)}" height="${svgNumber(size)}" ${fill}/>`;
+        }
+        case 'circle': {
+            const [cx, cy] = glToSvgPoint(shape.vertices[0][0], shape.vertices[0][1]);
+            const radius = shape.size / 100 * REFERENCE_CANVAS_SIZE / 2;
+            return `<circle cx="${cx}" cy="${cy}" r="${svgNumber(radius)}" ${fill}/>`;
+        }
+        case 'triangle':
+        case 'polygon':
+        case 'rectangle':
+        case 'ngon':
+        case 'star': {
+            const points = shape.vertices.map(([x, y]) => glToSvgPoint(x, y).join(',')).join(' ');
+            return `<polygon points="${points}" ${fill}/>`;
+        }
+        case 'ellipse': {
+            const [[cx, cy], [ax, ay], [bx, by]] = shape.vertices;
+            const half = REFERENCE_CANVAS_SIZE / 2;
+            
+            // Skewed axes can't be an <ellipse>; fall back to its tessellated outline
+            if (Math.abs((ax - cx) * (bx - cx) + (ay - cy) * (by - cy)) > 1e-9) {
+                const points = shape.getOutline().map(([x, y]) => glToSvgPoint(x, y).join(',')).join(' ');
+                return `<polygon points="${points}" ${fill}/>`;
+            }
+            
+            const [centerX, centerY] = glToSvgPoint(cx, cy);
+            const rx = Math.hypot(ax - cx, ay - cy) * half;
+            const ry = Math.hypot(bx - cx, by - cy) * half;
+            // SVG's y axis points down, so angles flip sign
+            const angle = -Math.atan2(ay - cy, ax - cx) * 180 / Math.PI;
+            return `<ellipse cx="${centerX}" cy="${centerY}" rx="${svgNumber(rx)}" ry="${svgNumber(ry)}" transform="rotate(${svgNumber(angle)} ${centerX} ${centerY})" ${fill}/>`;
+        }
+        case 'line': {
+            const [x1, y1] = glToSvgPoint(shape.vertices[0][0], shape.vertices[0][1]);
+            const [x2, y2] = glToSvgPoint(shape.vertices[1][0], shape.vertices[1][1]);
+            const width = Math.min(Math.max(shape.size, lineWidthRange[0]), lineWidthRange[1]);
+            return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke} stroke-width="${svgNumber(width)}"/>`;
+        }
+        case 'fill': {
+            // One subpath per rectangle of the region
+            const v = shape.vertices.map(([x, y]) => glToSvgPoint(x, y).join(' '));
+            const parts = [];
+            for (let i = 0; i + 3 < v.length; i += 4) {
+                parts.push(`M${v[i]} L${v[i + 1]} L${v[i + 2]} L${v[i + 3]} Z`);
+            }
+            return `<path d="${parts.join(' ')}" ${fill}/>`;
+        }
+        case 'stroke': {
+            const points = shape.getPath();
+            if (!shape.dynamics) {
+                const path = points.map(([x, y], i) => (i === 0 ? 'M' : 'L') + glToSvgPoint(x, y).join(' ')).join(' ');
+                return `<path d="${path}" ${stroke} stroke-width="${svgNumber(shape.size)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+            }
+            // SVG strokes have one width, so a stroke whose size changes goes a segment at a time, opaque
+            // inside a group so the overlapping ends don't show. Its alpha can't vary, so it gets the average
+            const segments = points.slice(1).map(([x, y, sizeScale], i) => {
+                const [x1, y1] = glToSvgPoint(points[i][0], points[i][1]);
+                const [x2, y2] = glToSvgPoint(x, y);
+                const width = shape.size * (points[i][2] + sizeScale) / 2;
+                return `<path d="M${x1} ${y1} L${x2} ${y2}" stroke-width="${svgNumber(width)}" stroke-opacity="1"/>`;
+            }).join('');
+            const alphaScale = shape.dynamics.reduce((sum, d) => sum + d[1], 0) / shape.dynamics.length;
+            const opacity = svgNumber(Math.min(shape.alpha * alphaScale, 1));
+            return `<g opacity="${opacity}"><g ${stroke} stroke-linecap="round">${segments}</g></g>`;
+        }
+        case 'brush': {
+            // Dabs become circles; soft tips fade out with a radial gradient. Chalk grain and
+            // image stamps have no SVG equivalent, so those come out as plain round dabs
+            const circles = shape.getDabs().map(([x, y, sizeScale, alphaScale]) => {
+                const [cx, cy] = glToSvgPoint(x, y);
+                const opacity = shape.dynamics ? ` opacity="${svgNumber(Math.min(alphaScale, 1 / shape.alpha))}"` : '';
+                return `<circle cx="${cx}" cy="${cy}" r="${svgNumber(shape.size * sizeScale / 2)}"${opacity}/>`;
+            }).join('');
+            if (shape.tip !== 'soft' && shape.tip !== 'airbrush') {
+                return `<g ${fill}>${circles}</g>`;
+            }
+            
+            const id = `gradient${++svgGradientCount}`;
+            const color = svgColor(shape.color);
+            const hardness = shape.tip === 'soft' ? shape.hardness : 0;
+            const fade = `<radialGradient id="${id}"><stop offset="${svgNumber(hardness)}" stop-color="${color}"/>` +
+                `<stop offset="1" stop-color="${color}" stop-opacity="0"/></radialGradient>`;
+            return `${fade}<g fill="url(#${id})" fill-opacity="${svgNumber(shape.alpha)}">${circles}</g>`;
+        }
+        case 'image': {
+            // A 1 x 1 image stretched onto the quad by its top left, top right and bottom left corners
+            const [bottomLeft, , topRight, topLeft] = shape.vertices.map(([x, y]) => glToSvgPoint(x, y));
+            const matrix = [
+                topRight[0] - topLeft[0], topRight[1] - topLeft[1],
+                bottomLeft[0] - topLeft[0], bottomLeft[1] - topLeft[1],
+                topLeft[0], topLeft[1]
+            ].map(svgNumber);
+            return `<image href="${paintingImages.get(shape.image).source}" width="1" height="1" preserveAspectRatio="none" ` +
+                `transform="matrix(${matrix.join(' ')})" opacity="${svgNumber(shape.alpha)}"/>`;
+        }
+        case 'eraser': {
+            // Black, for the <mask> layerToSVG() hides what's beneath it with
+            const path = shape.getPath().map(([x, y], i) => (i === 0 ? 'M' : 'L') + glToSvgPoint(x, y).join(' ')).join(' ');
+            return `<path d="${path}" fill="none" stroke="rgb(0,0,0)" stroke-width="${svgNumber(shape.size)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Lines of SVG for one layer's shapes. Eraser strokes only clear their own
+ * layer, so each run of them becomes a <mask> over everything in the layer
+ * before it, which lets the layers below show through like on the canvas.
+ */
+function layerToSVG(shapes) {
+    const size = REFERENCE_CANVAS_SIZE;
+    let lines = [];
+    let erasers = [];
+    
+    const applyErasers = () => {
+        if (erasers.length === 0) return;
+        const id = `eraser${++svgMaskCount}`;
+        lines = [
+            `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${size}" height="${size}">` +
+                `<rect width="${size}" height="${size}" fill="#fff"/>${erasers.join('')}</mask>`,
+            `<g mask="url(#${id})">`,
+            ...lines.map(line => '  ' + line),
+            '</g>'
+        ];
+        erasers = [];
+    };
+    
+    for (const shape of shapes) {
+        if (shape.type === 'eraser') {
+            erasers.push(shapeToSVG(shape));
+            continue;
+        }
+        applyErasers();
+        lines.push(shapeToSVG(shape));
+    }
+    applyErasers();
+    return lines;
+}
+
+// Whole painting as an SVG document, one group per visible layer in stacking order
+function paintingToSVG() {
+    const size = REFERENCE_CANVAS_SIZE;
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+        // Same black the canvas is cleared to
+        `<rect width="${size}" height="${size}" fill="#000"/>`
+    ];
+    svgGradientCount = 0;
+    svgMaskCount = 0;
+    
+    for (const layer of layers) {
+        if (!layer.visible) continue;
+        
+        const name = layer.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        lines.push(`<g data-layer="${name}" opacity="${svgNumber(layer.opacity)}">`);
+        lines.push(...layerToSVG(layer.shapes).map(line => '  ' + line));
+        lines.push('</g>');
+    }
+    
+    lines.push('</svg>');
+    return lines.join('\n');
+}
+
+// Download the painting as a resolution-independent SVG file
+function saveCanvasAsSVG() {
+    const blob = new Blob([paintingToSVG()], { type: 'image/svg+xml' });
+    downloadBlob(blob, 'webgl-painting.svg');
+}
+
+/***********************
+ * PROJECT SAVE / LOAD
+ ***********************/
+
+// Identifies our JSON documents; bump PROJECT_VERSION whenever the schema changes,
+// so older copies of the app say the file is newer instead of failing on a shape
+// they don't know. Every earlier version still loads.
+const PROJECT_FORMAT = 'webgl-painting';
+// 1: flat shapes list, 2: layers, 3: strokes, 4: fills, 5: rectangles, ellipses,
+// polygons and stars, 6: eraser strokes, 7: gradients, 8: brush strokes and stampImage,
+// 9: grid, snapping and guides, 10: image shapes and their images,
+// 11: brush stamps kept in images, named by each stroke (stampImage is still read),
+// 12: per-vertex size and alpha on strokes and brush strokes
+const PROJECT_VERSION = 12;
+
+// Thrown when a project file can't be turned back into shapes
+class ProjectFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectFormatError';
+    }
+}
+
+// [min, max] number of vertices each shape type is stored with
+const SHAPE_VERTEX_COUNTS = {
+    point: [1, 1],
+    triangle: [3, 3],
+    circle: [1, 1],
+    line: [2, 2],
+    stroke: [2, Infinity],
+    eraser: [2, Infinity],
+    brush: [1, Infinity],
+    fill: [4, Infinity],
+    polygon: [3, Infinity],
+    rectangle: [4, 4],
+    ngon: [3, Infinity],
+    star: [6, Infinity],
+    ellipse: [3, 3],
+    image: [4, 4]
+};
+
+// Plain-object form of a shape for JSON
+function shapeToData(shape) {
+    const data = {
+        type: shape.type,
+        vertices: shape.vertices.map(v => [v[0], v[1]]),
+        color: [...shape.color],
+        size: shape.size,
+        segments: shape.segments,
+        alpha: shape.alpha
+    };
+    if (shape.type === 'stroke' || shape.type === 'eraser') {
+        data.smooth = shape.smooth;
+    }
+    if (shape.dynamics) {
+        data.dynamics = shape.dynamics.map(d => [...d]);
+    }
+    if (shape.type === 'brush') {
+        data.tip = shape.tip;
+        data.hardness = shape.hardness;
+        data.spacing = shape.spacing;
+        if (shape.stamp) data.stamp = shape.stamp;
+    }
+    if (shape.type === 'image') {
+        data.image = shape.image;
+    }
+    if (shape.gradient) {
+        data.gradient = {
+            ...shape.gradient,
+            color: [...shape.gradient.color]
+        };
+    }
+    return data;
+}
+
+// Build the whole project document, for the current painting unless given other layers (and grid, or null for none)
+function serializeProject(layerList = layers, activeLayer = activeLayerIndex, grid = captureGridSettings()) {
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        activeLayer: activeLayer,
+        layers: layerList.map(layer => ({
+            name: layer.name,
+            visible: layer.visible,
+            opacity: layer.opacity,
+            shapes: layer.shapes.map(shapeToData)
+        }))
+    };
+    if (grid) {
+        project.grid = grid;
+    }
+    const images = collectImages(layerList.flatMap(layer => layer.shapes));
+    if (Object.keys(images).length > 0) {
+        project.images = images;
+    }
+    return project;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(isFiniteNumber);
+}
+
+// Rebuild the proper Shape subclass from its plain-object form
+function shapeFromData(data, index, layerName) {
+    const where = layerName === undefined ? `Shape ${index}` : `Layer "${layerName}", shape ${index}`;
+    
+    if (!data || typeof data !== 'object') {
+        throw new ProjectFormatError(`${where}: expected an object`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(SHAPE_VERTEX_COUNTS, data.type)) {
+        throw new ProjectFormatError(`${where}: unknown shape type "${data.type}"`);
+    }
+    
+    const [minVertices, maxVertices] = SHAPE_VERTEX_COUNTS[data.type];
+    if (!Array.isArray(data.vertices) ||
+        data.vertices.length < minVertices || data.vertices.length > maxVertices ||
+        !data.vertices.every(v => isNumberArray(v, 2))) {
+        const count = minVertices === maxVertices ? minVertices : `at least ${minVertices}`;
+        throw new ProjectFormatError(`${where}: a ${data.type} needs ${count} [x, y] vertices`);
+    }
+    if (!isNumberArray(data.color, 3)) {
+        throw new ProjectFormatError(`${where}: color must be an array of 3 numbers`);
+    }
+    if (!isFiniteNumber(data.size) || data.size <= 0) {
+        throw new ProjectFormatError(`${where}: size must be a positive number`);
+    }
+    if (!isFiniteNumber(data.alpha) || data.alpha < 0 || data.alpha > 1) {
+        throw new ProjectFormatError(`${where}: alpha must be a number between 0 and 1`);
+    }
+    
+    const shape = constructShape(data, where);
+    if (data.gradient !== undefined && data.gradient !== null) {
+        shape.gradient = gradientFromData(data.gradient, where);
+    }
+    return shape;
+}
+
+// Gradient of a saved shape, checked the same way as the shape itself
+function gradientFromData(gradient, where) {
+    if (!gradient || typeof gradient !== 'object' || !isNumberArray(gradient.color, 3)) {
+        throw new ProjectFormatError(`${where}: gradient needs a color of 3 numbers`);
+    }
+    switch (gradient.type) {
+        case 'radial':
+            return { type: 'radial', color: gradient.color };
+        case 'linear':
+            if (!isNumberArray(gradient.from, 2) || !isNumberArray(gradient.to, 2)) {
+                throw new ProjectFormatError(`${where}: a linear gradient needs [x, y] from and to points`);
+            }
+            return { type: 'linear', color: gradient.color, from: gradient.from, to: gradient.to };
+        default:
+            throw new ProjectFormatError(`${where}: unknown gradient type "${gradient.type}"`);
+    }
+}
+
+// Per-vertex [size scale, alpha scale] of a saved stroke, or null if it has none
+function dynamicsFromData(data, where) {
+    if (data.dynamics === undefined) return null;
+    if (!Array.isArray(data.dynamics) || data.dynamics.length !== data.vertices.length ||
+        !data.dynamics.every(d => isNumberArray(d, 2) && d[0] > 0 && d[1] >= 0)) {
+        throw new ProjectFormatError(`${where}: dynamics must have a [size scale, alpha scale] for each vertex`);
+    }
+    return data.dynamics;
+}
+
+// The Shape subclass for already validated shape data
+function constructShape(data, where) {
+    const [x, y] = data.vertices[0];
+    switch (data.type) {
+        case 'point':
+            return new Point(x, y, data.color, data.size, data.alpha);
+        case 'triangle':
+            return new Triangle(data.vertices, data.color, data.size, data.alpha);
+        case 'circle':
+            if (!Number.isInteger(data.segments) || data.segments < 3) {
+                throw new ProjectFormatError(`${where}: a circle needs at least 3 segments`);
+            }
+            return new Circle(x, y, data.color, data.size, data.segments, data.alpha);
+        case 'line': {
+            const [endX, endY] = data.vertices[1];
+            return new Line(x, y, endX, endY, data.color, data.size, data.alpha);
+        }
+        case 'stroke':
+            if (typeof data.smooth !== 'boolean') {
+                throw new ProjectFormatError(`${where}: smooth must be true or false`);
+            }
+            return new Stroke(data.vertices, data.color, data.size, data.alpha, data.smooth, dynamicsFromData(data, where));
+        case 'eraser':
+            if (typeof data.smooth !== 'boolean') {
+                throw new ProjectFormatError(`${where}: smooth must be true or false`);
+            }
+            return new EraserStroke(data.vertices, data.size, data.smooth);
+        case 'brush':
+            if (!BRUSH_TIPS.includes(data.tip)) {
+                throw new ProjectFormatError(`${where}: unknown brush tip "${data.tip}"`);
+            }
+            if (!isFiniteNumber(data.hardness) || data.hardness < 0 || data.hardness > 1) {
+                throw new ProjectFormatError(`${where}: hardness must be a number between 0 and 1`);
+            }
+            if (!isFiniteNumber(data.spacing) || data.spacing <= 0) {
+                throw new ProjectFormatError(`${where}: spacing must be a positive number`);
+            }
+            if (data.stamp !== undefined && (typeof data.stamp !== 'string' || !paintingImages.has(data.stamp))) {
+                throw new ProjectFormatError(`${where}: stamp must be the id of one of the project's images`);
+            }
+            return new BrushStroke(data.vertices, data.color, data.size, data.alpha, data.tip, data.hardness, data.spacing,
+                data.stamp || null, dynamicsFromData(data, where));
+        case 'fill':
+            if (data.vertices.length % 4 !== 0) {
+                throw new ProjectFormatError(`${where}: a fill needs four vertices per rectangle`);
+            }
+            return new Fill(data.vertices, data.color, data.alpha);
+        case 'polygon':
+            return new Polygon(data.vertices, data.color, data.alpha);
+        case 'rectangle':
+            return new Rectangle(data.vertices, data.color, data.alpha);
+        case 'ngon':
+            return new RegularPolygon(data.vertices, data.color, data.alpha);
+        case 'star':
+            return new Star(data.vertices, data.color, data.alpha);
+        case 'ellipse':
+            if (!Number.isInteger(data.segments) || data.segments < 3) {
+                throw new ProjectFormatError(`${where}: an ellipse needs at least 3 segments`);
+            }
+            return new Ellipse(data.vertices, data.color, data.segments, data.alpha);
+        case 'image':
+            if (typeof data.image !== 'string' || !paintingImages.has(data.image)) {
+                throw new ProjectFormatError(`${where}: image must be the id of one of the project's images`);
+            }
+            return new ImageShape(data.vertices, data.image, data.alpha);
+    }
+}
+
+// Grid settings of a saved project, checked like everything else in it
+function gridSettingsFromData(grid) {
+    if (!grid || typeof grid !== 'object') {
+        throw new ProjectFormatError('grid must be an object');
+    }
+    for (const key of ['show', 'snapToGrid', 'snapToGuides', 'snapToVertices']) {
+        if (typeof grid[key] !== 'boolean') {
+            throw new ProjectFormatError(`grid.${key} must be true or false`);
+        }
+    }
+    if (!isFiniteNumber(grid.spacing) || grid.spacing <= 0) {
+        throw new ProjectFormatError('grid.spacing must be a positive number');
+    }
+    if (!Array.isArray(grid.guides) ||
+        !grid.guides.every(guide => guide && (guide.axis === 'x' || guide.axis === 'y') && isFiniteNumber(guide.position))) {
+        throw new ProjectFormatError('grid.guides must be a list of { axis: "x" or "y", position }');
+    }
+    return grid;
+}
+
+// Parse a project document into { layers, activeLayer, grid }, throwing ProjectFormatError if invalid
+function parseProject(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new ProjectFormatError('File is not valid JSON');
+    }
+    
+    if (!doc || typeof doc !== 'object' || doc.format !== PROJECT_FORMAT) {
+        throw new ProjectFormatError('File is not a WebGL Painting project');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new ProjectFormatError('Project is missing a valid version number');
+    }
+    if (doc.version > PROJECT_VERSION) {
+        throw new ProjectFormatError(
+            `Project was saved by a newer version (format ${doc.version}); this app supports up to ${PROJECT_VERSION}`
+        );
+    }
+    
+    // Version 1 files hold a single flat shapes list
+    if (doc.version === 1) {
+        if (!Array.isArray(doc.shapes)) {
+            throw new ProjectFormatError('Project has no shapes list');
+        }
+        const layer = createLayer('Layer 1');
+        layer.shapes = doc.shapes.map((data, i) => shapeFromData(data, i));
+        return { layers: [layer], activeLayer: 0, grid: null };
+    }
+    
+    if (!Array.isArray(doc.layers) || doc.layers.length === 0) {
+        throw new ProjectFormatError('Project has no layers');
+    }
+    // Images for image shapes and brush stamps, saved since version 10, are needed before the shapes
+    if (doc.images !== undefined) {
+        loadImageTable(doc.images);
+    }
+    const parsedLayers = doc.layers.map(layerFromData);
+    
+    let activeLayer = doc.activeLayer;
+    if (!Number.isInteger(activeLayer) || activeLayer < 0 || activeLayer >= parsedLayers.length) {
+        activeLayer = parsedLayers.length - 1;
+    }
+    
+    // Before version 11 one stamp was saved for the whole painting, used by every image dab
+    if (doc.stampImage !== undefined) {
+        if (typeof doc.stampImage !== 'string' || !doc.stampImage.startsWith('data:image/')) {
+            throw new ProjectFormatError('stampImage must be an image data URL');
+        }
+        const stamp = addLegacyStamp(doc.stampImage);
+        for (const layer of parsedLayers) {
+            for (const shape of layer.shapes) {
+                if (shape.type === 'brush' && shape.tip === 'image' && !shape.stamp) shape.stamp = stamp;
+            }
+        }
+    }
+    // Grid and guides, saved since version 9
+    const grid = doc.grid === undefined ? null : gridSettingsFromData(doc.grid);
+    return { layers: parsedLayers, activeLayer: activeLayer, grid: grid };
+}
+
+// Rebuild a layer and its shapes from its plain-object form
+function layerFromData(data, index) {
+    if (!data || typeof data !== 'object') {
+        throw new ProjectFormatError(`Layer ${index}: expected an object`);
+    }
+    if (typeof data.name !== 'string') {
+        throw new ProjectFormatError(`Layer ${index}: name must be a string`);
+    }
+    if (typeof data.visible !== 'boolean') {
+        throw new ProjectFormatError(`Layer "${data.name}": visible must be true or false`);
+    }
+    if (!isFiniteNumber(data.opacity) || data.opacity < 0 || data.opacity > 1) {
+        throw new ProjectFormatError(`Layer "${data.name}": opacity must be a number between 0 and 1`);
+    }
+    if (!Array.isArray(data.shapes)) {
+        throw new ProjectFormatError(`Layer "${data.name}": has no shapes list`);
+    }
+    
+    const layer = createLayer(data.name);
+    layer.visible = data.visible;
+    layer.opacity = data.opacity;
+    layer.shapes = data.shapes.map((shapeData, i) => shapeFromData(shapeData, i, data.name));
+    return layer;
+}
+
+// Download the current painting as an editable project file
+function saveProject() {
+    const json = JSON.stringify(serializeProject());
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'webgl-painting.json');
+    markPaintingSaved();
+}
+
+// How long a download's object URL stays valid; some browsers start reading it after click() returns
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+
+// Offer `blob` as a file download named `filename`
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+// Make a parsed project the current painting, as one undoable step; false if it couldn't be
+function applyProject(project) {
+    if (!replaceLayers(project.layers, project.activeLayer)) return false;
+    if (project.grid) {
+        applyGridSettings(project.grid);
+        renderAllShapes();
+    }
+    return true;
+}
+
+// Load a project file chosen by the user, replacing the current painting
+function openProject(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function() {
+        try {
+            if (applyProject(parseProject(reader.result))) {
+                markPaintingSaved();
+            }
+        } catch (err) {
+            if (!(err instanceof ProjectFormatError)) throw err;
+            console.error('Failed to open project: ' + err.message);
+            alert(`Could not open "${file.name}": ${err.message}`);
+        }
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}"`);
+    };
+    
+    reader.readAsText(file);
+}
+
+/***********************
+ * AUTOSAVE AND GALLERY
+ ***********************/
+
+const PAINTING_DB_NAME = 'webgl-painting';
+const PAINTING_DB_VERSION = 2;
+const AUTOSAVE_STORE = 'autosave'; // Single record holding the latest session
+const GALLERY_STORE = 'gallery'; // Saved drawings, keyed by an auto-incremented id
+const SCENES_STORE = 'scenes'; // User scenes for Draw Picture, keyed by their id (added in version 2)
+const AUTOSAVE_KEY = 'session';
+const AUTOSAVE_INTERVAL_MS = 10000;
+const THUMBNAIL_SIZE = 96;
+
+let paintingDB = null; // Open IndexedDB connection, see openPaintingDB()
+let changeCount = 0; // Bumped by every undoable change, undo and redo
+let autosavedChangeCount = 0; // changeCount when the session was last autosaved
+let savedChangeCount = 0; // changeCount when the painting was last saved to a file or the gallery
+
+// Note that the painting changed since it was last saved
+function markPaintingChanged() {
+    changeCount++;
+}
+
+function hasUnsavedChanges() {
+    return changeCount !== savedChangeCount;
+}
+
+function markPaintingSaved() {
+    savedChangeCount = changeCount;
+}
+
+// Whether any layer has anything on it
+function paintingHasShapes() {
+    return layers.some(layer => layer.shapes.length > 0);
+}
+
+// Open (and on first use create) the database, then call onOpen(db). Calls onOpen(null) where there's no IndexedDB
+function openPaintingDB(onOpen) {
+    if (paintingDB) {
+        onOpen(paintingDB);
+        return;
+    }
+    if (!window.indexedDB) {
+        onOpen(null);
+        return;
+    }
+    
+    const request = indexedDB.open(PAINTING_DB_NAME, PAINTING_DB_VERSION);
+    request.onupgradeneeded = function(event) {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+            db.createObjectStore(AUTOSAVE_STORE);
+            db.createObjectStore(GALLERY_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (event.oldVersion < 2) {
+            db.createObjectStore(SCENES_STORE, { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = function() {
+        const db = request.result;
+        // Step aside when a newer version of the page in another tab needs to upgrade the database
+        db.onversionchange = function() {
+            db.close();
+            if (paintingDB === db) paintingDB = null;
+        };
+        paintingDB = db;
+        onOpen(paintingDB);
+    };
+    request.onerror = function() {
+        // Private browsing and blocked storage end up here
+        console.error('Could not open the painting database: ' + request.error);
+        onOpen(null);
+    };
+}
+
+/**
+ * Run makeRequest(store) against one object store and pass the request's
+ * result to onDone(result, succeeded). Failures are logged and reported as
+ * (undefined, false), since losing an autosave shouldn't interrupt painting.
+ */
+function withPaintingStore(storeName, mode, makeRequest, onDone = () => {}) {
+    openPaintingDB(function(db) {
+        if (!db) {
+            onDone(undefined, false);
+            return;
+        }
+        
+        let request;
+        try {
+            request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        } catch (err) {
+            console.error(`Painting database ${storeName} request failed: ${err.message}`);
+            onDone(undefined, false);
+            return;
+        }
+        request.onsuccess = () => onDone(request.result, true);
+        request.onerror = function() {
+            console.error(`Painting database ${storeName} request failed: ${request.error}`);
+            onDone(undefined, false);
+        };
+    });
+}
+
+// Save the session if it changed since the last autosave (and isn't mid-stroke)
+function autosave() {
+    // During playback the layers hold the replay, not the user's painting
+    if (changeCount === autosavedChangeCount || isMouseDown || playback) return;
+    
+    const savingChangeCount = changeCount;
+    const record = { savedAt: Date.now(), project: JSON.stringify(serializeProject()) };
+    withPaintingStore(AUTOSAVE_STORE, 'readwrite', store => store.put(record, AUTOSAVE_KEY), function(result) {
+        if (result !== undefined) {
+            autosavedChangeCount = savingChangeCount;
+        }
+    });
+}
+
+function clearAutosave() {
+    withPaintingStore(AUTOSAVE_STORE, 'readwrite', store => store.delete(AUTOSAVE_KEY));
+}
+
+// Offer to bring back the last autosaved session, if it had anything in it
+function offerSessionRestore() {
+    withPaintingStore(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY), function(record) {
+        if (!record) return;
+        
+        let project;
+        try {
+            project = parseProject(record.project);
+        } catch (err) {
+            if (!(err instanceof ProjectFormatError)) throw err;
+            console.error('Discarding unreadable autosave: ' + err.message);
+            clearAutosave();
+            return;
+        }
+        if (!project.layers.some(layer => layer.shapes.length > 0)) return;
+        
+        const when = new Date(record.savedAt).toLocaleString();
+        if (confirm(`Restore the painting from your previous session (autosaved ${when})?`)) {
+            applyProject(project);
+            // Nothing new to autosave, but it still hasn't been saved anywhere else
+            autosavedChangeCount = changeCount;
+        } else {
+            clearAutosave();
+        }
+    });
+}
+
+// Small PNG data URL of the painting for the gallery
+function createThumbnail() {
+    let image;
+    try {
+        image = renderPaintingOffscreen(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    } finally {
+        renderAllShapes();
+    }
+    
+    const output = document.createElement('canvas');
+    output.width = THUMBNAIL_SIZE;
+    output.height = THUMBNAIL_SIZE;
+    output.getContext('2d').putImageData(new ImageData(image, THUMBNAIL_SIZE, THUMBNAIL_SIZE), 0, 0);
+    return output.toDataURL('image/png');
+}
+
+function saveToGallery() {
+    const name = prompt('Name for this drawing:', `Drawing ${new Date().toLocaleDateString()}`);
+    if (name === null || name.trim() === '') return;
+    
+    const savingChangeCount = changeCount;
+    const entry = {
+        name: name.trim(),
+        savedAt: Date.now(),
+        thumbnail: createThumbnail(),
+        project: JSON.stringify(serializeProject())
+    };
+    withPaintingStore(GALLERY_STORE, 'readwrite', store => store.add(entry), function(id) {
+        if (id === undefined) {
+            alert('Could not save to the gallery; browser storage may be full or disabled');
+            return;
+        }
+        savedChangeCount = savingChangeCount;
+        updateGalleryPanel();
+    });
+}
+
+// Replace the current painting with a gallery drawing (undoable like opening a file)
+function openGalleryEntry(entry) {
+    try {
+        if (applyProject(parseProject(entry.project))) {
+            markPaintingSaved();
+        }
+    } catch (err) {
+        if (!(err instanceof ProjectFormatError)) throw err;
+        console.error('Failed to open gallery drawing: ' + err.message);
+        alert(`Could not open "${entry.name}": ${err.message}`);
+    }
+}
+
+function deleteGalleryEntry(entry) {
+    if (!confirm(`Delete "${entry.name}" from the gallery?`)) return;
+    withPaintingStore(GALLERY_STORE, 'readwrite', store => store.delete(entry.id), updateGalleryPanel);
+}
+
+// Rebuild the gallery list, newest first
+function updateGalleryPanel() {
+    withPaintingStore(GALLERY_STORE, 'readonly', store => store.getAll(), function(entries) {
+        const list = document.getElementById('galleryList');
+        list.innerHTML = '';
+        
+        if (entries === undefined) {
+            list.textContent = 'The gallery needs browser storage, which is unavailable here.';
+            document.getElementById('saveToGalleryBtn').disabled = true;
+            return;
+        }
+        if (entries.length === 0) {
+            list.textContent = 'No saved drawings yet.';
+            return;
+        }
+        
+        entries.sort((a, b) => b.savedAt - a.savedAt);
+        for (const entry of entries) {
+            const item = document.createElement('div');
+            item.className = 'gallery-item';
+            item.title = `Saved ${new Date(entry.savedAt).toLocaleString()}`;
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = entry.thumbnail;
+            thumbnail.alt = entry.name;
+            thumbnail.width = THUMBNAIL_SIZE;
+            thumbnail.height = THUMBNAIL_SIZE;
+            thumbnail.addEventListener('click', () => openGalleryEntry(entry));
+            item.appendChild(thumbnail);
+            
+            const name = document.createElement('span');
+            name.className = 'gallery-name';
+            name.textContent = entry.name;
+            item.appendChild(name);
+            
+            const useAsScene = document.createElement('button');
+            useAsScene.textContent = 'Use as Scene';
+            useAsScene.title = 'Add this drawing to the scenes Draw Picture can draw';
+            useAsScene.addEventListener('click', () => addUserScene(entry.project, entry.name));
+            item.appendChild(useAsScene);
+            
+            const remove = document.createElement('button');
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => deleteGalleryEntry(entry));
+            item.appendChild(remove);
+            
+            list.appendChild(item);
+        }
+    });
+}
+
+function setupAutosave() {
+    document.getElementById('saveToGalleryBtn').addEventListener('click', saveToGallery);
+    updateGalleryPanel();
+    offerSessionRestore();
+    
+    setInterval(autosave, AUTOSAVE_INTERVAL_MS);
+    // Hidden tabs are the ones that get discarded or closed
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            autosave();
+        }
+    });
+    window.addEventListener('beforeunload', function(event) {
+        if (!hasUnsavedChanges()) return;
+        event.preventDefault();
+        // Older browsers only warn when returnValue is set
+        event.returnValue = '';
+    });
+}
+
+/***********************
+ * RECORDING AND PLAYBACK
+ ***********************/
+
+// Identifies exported recordings; bump RECORDING_VERSION whenever the schema changes
+const RECORDING_FORMAT = 'webgl-painting-recording';
+// 1: drawing input only, 2: edit events for everything else (undo, layers, fills, shape tools...),
+// 3: images the edits' image shapes show, 4: the brush stamp in each settings snapshot
+const RECORDING_VERSION = 4;
+// Pauses longer than this are shortened in the recording, so playback doesn't sit idle
+const MAX_RECORDING_GAP_MS = 1000;
+// How often a recording looks for changes that replaying the drawing input wouldn't make
+const RECORDING_EDIT_CHECK_MS = 100;
+// Buttons that change the painting, which can't be used while the recording plays back
+const PLAYBACK_LOCKED_CONTROLS = [
+    'clearCanvas', 'drawPicture', 'addLayerBtn', 'openProjectBtn',
+    'deleteSelectionBtn', 'recolorSelectionBtn', 'addScriptBtn', 'replaceScriptBtn'
+];
+// Controls read while drawing, whose values are saved with each event that sees them change
+const RECORDED_CONTROLS = [
+    'brushTip', 'hardnessSlider', 'spacingSlider', 'smoothStrokes',
+    'gradientMode', 'gradientColor', 'gradientAngleSlider',
+    'symmetryMode', 'symmetrySegmentsSlider',
+    'snapToGrid', 'snapToGuides', 'snapToVertices', 'gridSpacingSlider'
+];
+const RECORDED_TOOLS = ['point', 'triangle', 'circle'];
+
+let recording = null; // Recording in progress or finished, see startRecording()
+let isRecording = false;
+let recordingClock = null; // { wallTime, time } of the last recorded event
+let recordingEditTimer = null; // Interval that calls recordEdits() while recording
+let playback = null; // Playback in progress, see startPlayback()
+
+// Thrown when an imported recording can't be replayed
+class RecordingFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecordingFormatError';
+    }
+}
+
+// Current values of RECORDED_CONTROLS, plus the symmetry center and guides, which snapping and copies
+// depend on, and the stamp image dabs use
+function captureDrawSettings() {
+    const settings = {};
+    for (const id of RECORDED_CONTROLS) {
+        const control = document.getElementById(id);
+        settings[id] = control.type === 'checkbox' ? control.checked : control.value;
+    }
+    settings.symmetryCenter = { ...symmetryCenter };
+    settings.guides = guides.map(guide => ({ ...guide }));
+    settings.stamp = currentStamp;
+    return settings;
+}
+
+function applyDrawSettings(settings) {
+    for (const id of RECORDED_CONTROLS) {
+        const control = document.getElementById(id);
+        if (control.type === 'checkbox') {
+            control.checked = settings[id];
+        } else {
+            control.value = settings[id];
+        }
+    }
+    symmetryCenter = { ...settings.symmetryCenter };
+    guides = settings.guides.map(guide => ({ ...guide }));
+    // Recordings before version 4 don't say, and stamped with whatever was loaded
+    if (settings.stamp !== undefined) currentStamp = settings.stamp;
+}
+
+/**
+ * Start a new recording from the painting as it is now. Drawing input is
+ * recorded as it happens; any other change to the layers is picked up by
+ * recordEdits(), which compares them with `recording.layers`, the stack as
+ * replaying the events so far would leave it.
+ */
+function startRecording() {
+    if (playback) exitPlayback();
+    recording = { start: serializeProject(), events: [], duration: 0, layers: captureLayers() };
+    recordingClock = null;
+    isRecording = true;
+    // Edits made by dragging are recorded once the drag is over
+    recordingEditTimer = setInterval(function() {
+        if (!isMouseDown) recordEdits();
+    }, RECORDING_EDIT_CHECK_MS);
+    updateRecordingPanel();
+}
+
+function stopRecording() {
+    recordEdits();
+    clearInterval(recordingEditTimer);
+    recordingEditTimer = null;
+    isRecording = false;
+    updateRecordingPanel();
+}
+
+// Recording time for a new event, with long pauses shortened
+function nextRecordingTime() {
+    const now = performance.now();
+    const time = recordingClock ? recordingClock.time + Math.min(now - recordingClock.wallTime, MAX_RECORDING_GAP_MS) : 0;
+    recordingClock = { wallTime: now, time: time };
+    return Math.round(time);
+}
+
+function pushRecordingEvent(event) {
+    recording.events.push(event);
+    recording.duration = event.t;
+    updateRecordingPanel();
+}
+
+/**
+ * Describe how the layer stack changed from `before` to `after` (both
+ * captureLayers() copies), or return null if it didn't. Layers are matched by
+ * id; each keeps the shapes both versions start with and lists the rest.
+ */
+function diffLayers(before, after) {
+    let changed = before.activeLayerIndex !== after.activeLayerIndex || before.layers.length !== after.layers.length;
+    
+    const entries = after.layers.map((layer, i) => {
+        const from = before.layers.findIndex(old => old.id === layer.id);
+        const old = from >= 0 ? before.layers[from] : null;
+        const oldShapes = old ? old.shapes : [];
+        
+        let keep = 0;
+        while (keep < layer.shapes.length && keep < oldShapes.length && layer.shapes[keep] === oldShapes[keep]) {
+            keep++;
+        }
+        if (from !== i || keep !== oldShapes.length || keep !== layer.shapes.length ||
+            old.name !== layer.name || old.visible !== layer.visible || old.opacity !== layer.opacity) {
+            changed = true;
+        }
+        
+        return {
+            from: from,
+            keep: keep,
+            add: layer.shapes.slice(keep).map(shapeToData),
+            name: layer.name,
+            visible: layer.visible,
+            opacity: layer.opacity
+        };
+    });
+    
+    return changed ? { activeLayer: after.activeLayerIndex, layers: entries } : null;
+}
+
+// Record whatever changed since the last event that replaying the recording wouldn't redo
+function recordEdits() {
+    if (!isRecording) return;
+    
+    const current = captureLayers();
+    const edit = diffLayers(recording.layers, current);
+    recording.layers = current;
+    if (edit) {
+        pushRecordingEvent({ t: nextRecordingTime(), edit: edit });
+    }
+}
+
+// Add one handleMouseEvent() input to the recording, with settings only when they changed
+function recordInput(input) {
+    if (!isRecording) return;
+    
+    // Undo, layer changes and the like come first, so the input lands where it did
+    recordEdits();
+    
+    const event = {
+        t: nextRecordingTime(),
+        move: input.isMove,
+        x: input.x,
+        y: input.y,
+        color: [...input.color],
+        size: input.size,
+        alpha: input.alpha,
+        segments: input.segments,
+        tool: currentShapeType,
+        layer: activeLayerIndex
+    };
+    
+    const settings = captureDrawSettings();
+    const settingsJSON = JSON.stringify(settings);
+    if (settingsJSON !== recording.lastSettings) {
+        event.settings = settings;
+        recording.lastSettings = settingsJSON;
+    }
+    
+    pushRecordingEvent(event);
+}
+
+// Note that a recorded input has been drawn; replaying it makes the same change, so it isn't an edit
+function recordInputDrawn() {
+    if (!isRecording) return;
+    recording.layers = captureLayers();
+}
+
+// Stop showing the user's painting and get ready to replay the recording from its start
+function startPlayback() {
+    if (!recording || recording.events.length === 0) return;
+    if (isRecording) stopRecording();
+    cancelShapeTool();
+    
+    playback = {
+        time: 0,
+        index: 0,
+        playing: false,
+        lastFrame: null,
+        // What to put back when playback ends
+        saved: {
+            layers: captureLayers(),
+            settings: captureDrawSettings(),
+            tool: currentShapeType
+        }
+    };
+    rewindPlayback();
+    updateRecordingPanel();
+}
+
+// Back to the painting the recording started from, with nothing replayed
+function rewindPlayback() {
+    const start = recording.start;
+    layers = start.layers.map(layerFromData);
+    setActiveLayer(start.activeLayer);
+    activeStroke = null;
+    strokeStartPoint = null;
+    lastSymmetryGroupSize = 1;
+    playback.index = 0;
+    
+    const first = recording.events.find(event => event.settings);
+    if (first) {
+        applyDrawSettings(first.settings);
+    }
+}
+
+// Replay every event up to `time`, starting over when scrubbing backwards
+function seekPlayback(time) {
+    if (time < playback.time) {
+        rewindPlayback();
+    }
+    playback.time = time;
+    
+    const events = recording.events;
+    while (playback.index < events.length && events[playback.index].t <= time) {
+        const event = events[playback.index];
+        if (event.edit) {
+            replayEdit(event.edit);
+        } else {
+            replayInput(event);
+        }
+        playback.index++;
+    }
+    renderAllShapes();
+    updatePlaybackPosition();
+}
+
+function replayInput(event) {
+    if (event.settings) {
+        applyDrawSettings(event.settings);
+    }
+    currentShapeType = event.tool;
+    // Layer changes aren't in version 1 recordings, so their layers may not be there
+    if (event.layer >= layers.length) return;
+    activeLayerIndex = event.layer;
+    shapesList = layers[activeLayerIndex].shapes;
+    
+    drawInput({
+        isMove: event.move,
+        x: event.x,
+        y: event.y,
+        color: event.color,
+        size: event.size,
+        alpha: event.alpha,
+        segments: event.segments
+    });
+}
+
+// Rebuild the layer stack from the one before, as diffLayers() described it
+function replayEdit(edit) {
+    const previous = layers;
+    layers = edit.layers.map((entry, i) => {
+        // Keeping the replayed layer object keeps its GPU batch, so only the added shapes are uploaded
+        const base = entry.from >= 0 ? previous[entry.from] : undefined;
+        const layer = base || createLayer(entry.name);
+        const kept = base ? base.shapes.slice(0, entry.keep) : [];
+        layer.name = entry.name;
+        layer.visible = entry.visible;
+        layer.opacity = entry.opacity;
+        layer.shapes = kept.concat(entry.add.map((data, j) => shapeFromData(data, entry.keep + j, entry.name)));
+        return layer;
+    });
+    
+    activeStroke = null;
+    strokeStartPoint = null;
+    setActiveLayer(edit.activeLayer);
+}
+
+function playPlayback() {
+    if (!playback) startPlayback();
+    if (!playback) return;
+    
+    // Play from the top again once the end has been reached
+    if (playback.time >= recording.duration) {
+        rewindPlayback();
+        playback.time = 0;
+    }
+    playback.playing = true;
+    playback.lastFrame = null;
+    requestAnimationFrame(stepPlayback);
+    updateRecordingPanel();
+}
+
+function pausePlayback() {
+    if (!playback) return;
+    playback.playing = false;
+    updateRecordingPanel();
+}
+
+// Advance playback by the time since the last frame, scaled by the chosen speed
+function stepPlayback(timestamp) {
+    if (!playback || !playback.playing) return;
+    
+    const speed = parseFloat(document.getElementById('playbackSpeed').value);
+    const elapsed = playback.lastFrame === null ? 0 : (timestamp - playback.lastFrame) * speed;
+    playback.lastFrame = timestamp;
+    
+    seekPlayback(Math.min(playback.time + elapsed, recording.duration));
+    if (playback.time >= recording.duration) {
+        pausePlayback();
+        return;
+    }
+    requestAnimationFrame(stepPlayback);
+}
+
+// Leave playback and put the user's painting and settings back
+function exitPlayback() {
+    if (!playback) return;
+    const saved = playback.saved;
+    playback = null;
+    
+    applyDrawSettings(saved.settings);
+    currentShapeType = saved.tool;
+    activeStroke = null;
+    strokeStartPoint = null;
+    restoreLayers(saved.layers);
+    updateRecordingPanel();
+}
+
+// Minutes and seconds, e.g. 1:05
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updatePlaybackPosition() {
+    const scrubber = document.getElementById('playbackScrubber');
+    const time = playback ? playback.time : 0;
+    scrubber.max = recording ? recording.duration : 0;
+    scrubber.value = time;
+    document.getElementById('playbackTime').textContent =
+        `${formatDuration(time)} / ${formatDuration(recording ? recording.duration : 0)}`;
+}
+
+// Button labels and which controls apply right now
+function updateRecordingPanel() {
+    const hasEvents = recording !== null && recording.events.length > 0;
+    
+    const recordBtn = document.getElementById('recordBtn');
+    recordBtn.textContent = isRecording ? 'Stop Recording' : 'Start Recording';
+    recordBtn.classList.toggle('selected', isRecording);
+    
+    const playBtn = document.getElementById('playRecordingBtn');
+    playBtn.textContent = playback && playback.playing ? 'Pause' : 'Play';
+    playBtn.disabled = !hasEvents;
+    document.getElementById('playbackScrubber').disabled = !hasEvents;
+    document.getElementById('exitPlaybackBtn').disabled = !playback;
+    document.getElementById('exportRecordingBtn').disabled = !hasEvents || isRecording;
+    for (const id of PLAYBACK_LOCKED_CONTROLS) {
+        document.getElementById(id).disabled = playback !== null;
+    }
+    
+    document.getElementById('recordingStatus').textContent = recording
+        ? `${recording.events.length} events${isRecording ? ' (recording)' : ''}${playback ? ' (playback)' : ''}`
+        : 'No recording';
+    updatePlaybackPosition();
+}
+
+// Plain-object form of the recording for JSON
+function serializeRecording() {
+    return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        duration: recording.duration,
+        start: recordingStart(),
+        events: recording.events,
+        images: recordingImages()
+    };
+}
+
+// The starting painting with its images as they are now (a stamp from an older project becomes its mask once loaded)
+function recordingStart() {
+    const start = { ...recording.start };
+    const images = collectImages(start.layers.flatMap(layer => layer.shapes));
+    if (Object.keys(images).length > 0) {
+        start.images = images;
+    }
+    return start;
+}
+
+// Id -> data URL of the images the recorded edits show and the recorded settings stamp with
+function recordingImages() {
+    const images = collectImages(recording.events.flatMap(event => event.edit ? event.edit.layers.flatMap(entry => entry.add) : []));
+    for (const event of recording.events) {
+        const stamp = event.settings && event.settings.stamp;
+        if (stamp && paintingImages.has(stamp)) {
+            images[stamp] = paintingImages.get(stamp).source;
+        }
+    }
+    return images;
+}
+
+function exportRecording() {
+    const json = JSON.stringify(serializeRecording());
+    const blob = new Blob([json], { type: 'application/json' });
+    downloadBlob(blob, 'webgl-painting-recording.json');
+}
+
+// Check one recorded settings snapshot
+function validateDrawSettings(settings, where) {
+    if (!settings || typeof settings !== 'object') {
+        throw new RecordingFormatError(`${where}: settings must be an object`);
+    }
+    for (const id of RECORDED_CONTROLS) {
+        if (typeof settings[id] !== 'string' && typeof settings[id] !== 'boolean') {
+            throw new RecordingFormatError(`${where}: setting "${id}" is missing`);
+        }
+    }
+    const center = settings.symmetryCenter;
+    if (!center || !isFiniteNumber(center.x) || !isFiniteNumber(center.y)) {
+        throw new RecordingFormatError(`${where}: symmetryCenter must have numeric x and y`);
+    }
+    if (!Array.isArray(settings.guides) || !settings.guides.every(guide =>
+        guide && (guide.axis === 'x' || guide.axis === 'y') && isFiniteNumber(guide.position))) {
+        throw new RecordingFormatError(`${where}: guides must be a list of { axis, position }`);
+    }
+    if (settings.stamp !== undefined && settings.stamp !== null && !paintingImages.has(settings.stamp)) {
+        throw new RecordingFormatError(`${where}: stamp must be null or the id of one of the recording's images`);
+    }
+}
+
+// Check one recorded edit, as made by diffLayers()
+function validateRecordedEdit(edit, where) {
+    if (!edit || typeof edit !== 'object' || !Array.isArray(edit.layers) || edit.layers.length === 0) {
+        throw new RecordingFormatError(`${where}: edit needs a list of layers`);
+    }
+    if (!Number.isInteger(edit.activeLayer) || edit.activeLayer < 0 || edit.activeLayer >= edit.layers.length) {
+        throw new RecordingFormatError(`${where}: activeLayer must be one of the edit's layers`);
+    }
+    
+    const sources = new Set();
+    edit.layers.forEach((entry, j) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new RecordingFormatError(`${where}, layer ${j}: expected an object`);
+        }
+        if (!Number.isInteger(entry.from) || entry.from < -1 || sources.has(entry.from)) {
+            throw new RecordingFormatError(`${where}, layer ${j}: from must be -1 or a layer index not used before`);
+        }
+        if (entry.from >= 0) sources.add(entry.from);
+        if (!Number.isInteger(entry.keep) || entry.keep < 0 || (entry.from === -1 && entry.keep > 0)) {
+            throw new RecordingFormatError(`${where}, layer ${j}: keep must be a shape count`);
+        }
+        
+        // The rest is checked like a layer in a project
+        try {
+            layerFromData({ name: entry.name, visible: entry.visible, opacity: entry.opacity, shapes: entry.add }, j);
+        } catch (err) {
+            if (!(err instanceof ProjectFormatError)) throw err;
+            throw new RecordingFormatError(`${where}: ${err.message}`);
+        }
+    });
+}
+
+// Parse an exported recording, throwing RecordingFormatError if it can't be replayed
+function parseRecording(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new RecordingFormatError('File is not valid JSON');
+    }
+    if (!doc || typeof doc !== 'object' || doc.format !== RECORDING_FORMAT) {
+        throw new RecordingFormatError('File is not a WebGL Painting recording');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > RECORDING_VERSION) {
+        throw new RecordingFormatError(`Unsupported recording version ${doc.version}`);
+    }
+    
+    // The starting painting is an ordinary project document. Playback rebuilds it from its layers,
+    // so keep it as this version writes it: older formats and missing fields are taken care of
+    let start;
+    try {
+        const project = parseProject(JSON.stringify(doc.start));
+        start = serializeProject(project.layers, project.activeLayer, project.grid);
+    } catch (err) {
+        if (!(err instanceof ProjectFormatError)) throw err;
+        throw new RecordingFormatError('Starting painting: ' + err.message);
+    }
+    
+    if (doc.images !== undefined) {
+        try {
+            loadImageTable(doc.images);
+        } catch (err) {
+            if (!(err instanceof ProjectFormatError)) throw err;
+            throw new RecordingFormatError(err.message);
+        }
+    }
+    
+    if (!Array.isArray(doc.events) || doc.events.length === 0) {
+        throw new RecordingFormatError('Recording has no events');
+    }
+    let lastTime = 0;
+    let hasSettings = false;
+    doc.events.forEach((event, i) => {
+        const where = `Event ${i}`;
+        if (!event || typeof event !== 'object') {
+            throw new RecordingFormatError(`${where}: expected an object`);
+        }
+        if (!isFiniteNumber(event.t) || event.t < lastTime) {
+            throw new RecordingFormatError(`${where}: time must be a number no earlier than the event before`);
+        }
+        lastTime = event.t;
+        if (event.edit !== undefined) {
+            validateRecordedEdit(event.edit, where);
+            return;
+        }
+        if (typeof event.move !== 'boolean' || !isFiniteNumber(event.x) || !isFiniteNumber(event.y)) {
+            throw new RecordingFormatError(`${where}: needs move, x and y`);
+        }
+        if (!isNumberArray(event.color, 3) || !isFiniteNumber(event.size) ||
+            !isFiniteNumber(event.alpha) || !Number.isInteger(event.segments)) {
+            throw new RecordingFormatError(`${where}: needs color, size, alpha and segments`);
+        }
+        if (!RECORDED_TOOLS.includes(event.tool)) {
+            throw new RecordingFormatError(`${where}: unknown tool "${event.tool}"`);
+        }
+        if (!Number.isInteger(event.layer) || event.layer < 0) {
+            throw new RecordingFormatError(`${where}: layer must be a layer index`);
+        }
+        // The first input says what every setting was
+        if (event.settings !== undefined || !hasSettings) {
+            validateDrawSettings(event.settings, where);
+            hasSettings = true;
+        }
+    });
+    
+    return { start: start, events: doc.events, duration: lastTime };
+}
+
+function importRecording(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function() {
+        try {
+            const imported = parseRecording(reader.result);
+            if (playback) exitPlayback();
+            if (isRecording) stopRecording();
+            recording = imported;
+            updateRecordingPanel();
+        } catch (err) {
+            if (!(err instanceof RecordingFormatError)) throw err;
+            console.error('Failed to import recording: ' + err.message);
+            alert(`Could not import "${file.name}": ${err.message}`);
+        }
+    };
+    reader.onerror = function() {
+        alert(`Could not read "${file.name}"`);
+    };
+    
+    reader.readAsText(file);
+}
+
+function setupRecordingControls() {
+    document.getElementById('recordBtn').addEventListener('click', function() {
+        if (isRecording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+    document.getElementById('playRecordingBtn').addEventListener('click', function() {
+        if (playback && playback.playing) {
+            pausePlayback();
+        } else {
+            playPlayback();
+        }
+    });
+    document.getElementById('playbackScrubber').addEventListener('input', function() {
+        if (!playback) startPlayback();
+        pausePlayback();
+        seekPlayback(parseFloat(this.value));
+    });
+    document.getElementById('exitPlaybackBtn').addEventListener('click', exitPlayback);
+    document.getElementById('exportRecordingBtn').addEventListener('click', exportRecording);
+    
+    const recordingFileInput = document.getElementById('recordingFileInput');
+    document.getElementById('importRecordingBtn').addEventListener('click', function() {
+        recordingFileInput.click();
+    });
+    recordingFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importRecording(this.files[0]);
+        }
+        this.value = '';
+    });
+    
+    updateRecordingPanel();
+}
+
+/***********************
+ * CANVAS INPUT
+ ***********************/
+
+// Touches this close (ms) after pen input are treated as a resting palm
+const PALM_REJECT_AFTER_PEN_MS = 1000;
+// Touch contacts wider than this (CSS pixels) are treated as a palm
+const PALM_CONTACT_SIZE = 40;
+
+// Drawing input starts (mouse button, pen or finger down)
+function onCanvasDown(event) {
+    // The canvas only shows the recording while it's being played back, or the game while it runs
+    if (playback || gameRunning) return;
+    
+    // Middle button, or any button with space held, moves the view instead
+    if (event.button === 1 || spaceHeld) {
+        startPan(event);
+        return;
+    }
+    
+    if (placingSymmetryCenter) {
+        placeSymmetryCenter(event);
+        return;
+    }
+    if (handleGuideDown(event)) {
+        return;
+    }
+    if (currentShapeType === 'eyedropper') {
+        isMouseDown = true;
+        pickColorAt(event);
+        return;
+    }
+    // Whatever color is about to be painted with goes into the recent colors strip
+    if (currentShapeType !== 'select' && currentShapeType !== 'eraser' &&
+        document.getElementById('colorSource').value === 'brush') {
+        addRecentColor(getSliderColor());
+    }
+    beginStrokeDynamics(event);
+    
+    if (currentShapeType === 'fill') {
+        const brush = getBrushColor();
+        fillAt(event, brush.color, brush.alpha);
+        return;
+    }
+    if (SHAPE_TOOLS.includes(currentShapeType)) {
+        handleShapeToolDown(event);
+        return;
+    }
+    
+    isMouseDown = true;
+    if (currentShapeType === 'eraser') {
+        handleEraserDown(event);
+        return;
+    }
+    if (currentShapeType === 'select') {
+        handleSelectMouseDown(event);
+        return;
+    }
+    
+    // Everything drawn until mouseup is undone as one stroke
+    recordHistory();
+    handleMouseEvent(event);
+}
+
+function onCanvasMove(event) {
+    if (panDrag) {
+        updatePan(event);
+        return;
+    }
+    if (guideDrag) {
+        handleGuideMove(event);
+        return;
+    }
+    if (SHAPE_TOOLS.includes(currentShapeType)) {
+        handleShapeToolMove(event);
+        return;
+    }
+    if (currentShapeType === 'eraser') {
+        handleEraserMove(event);
+        return;
+    }
+    if (currentShapeType === 'eyedropper') {
+        // Keep sampling while dragging, so the color can be hunted for
+        if (isMouseDown) pickColorAt(event);
+        return;
+    }
+    if (currentShapeType === 'select') {
+        handleSelectMouseMove(event);
+        return;
+    }
+    
+    // Only draw when mouse is down
+    if (isMouseDown) {
+        advanceStrokeDynamics(event);
+        handleMouseEvent(event, true);
+    }
+}
+
+function onCanvasUp() {
+    if (panDrag) {
+        endPan();
+        return;
+    }
+    if (guideDrag) {
+        handleGuideUp();
+        return;
+    }
+    
+    isMouseDown = false;
+    handleShapeToolUp();
+    handleEraserUp();
+    handleSelectMouseUp();
+}
+
+// Whether a new touch is more likely a hand resting on the screen than a finger drawing
+function isPalmTouch(event) {
+    if (event.pointerType !== 'touch') return false;
+    return event.timeStamp - lastPenTime < PALM_REJECT_AFTER_PEN_MS ||
+        event.width > PALM_CONTACT_SIZE || event.height > PALM_CONTACT_SIZE;
+}
+
+/**
+ * Brush size and alpha multipliers from pen pressure and tilt. Mice (and
+ * the mouse-event fallback) report no real pressure and get 1 for both.
+ */
+function getPointerDynamics(event) {
+    if (!hasRealPressure(event)) {
+        return { sizeScale: 1, alphaScale: 1 };
+    }
+    
+    const pressure = event.pressure;
+    let sizeScale = 1;
+    let alphaScale = 1;
+    
+    if (document.getElementById('pressureSize').checked) {
+        sizeScale = 0.2 + 0.8 * pressure;
+    }
+    if (document.getElementById('pressureAlpha').checked) {
+        alphaScale = 0.3 + 0.7 * pressure;
+    }
+    
+    // Tilting the pen lays its side down for a broader mark
+    if (document.getElementById('tiltSize').checked) {
+        const tilt = Math.min(90, Math.hypot(event.tiltX || 0, event.tiltY || 0));
+        sizeScale *= 1 + tilt / 90;
+    }
+    
+    return { sizeScale: sizeScale, alphaScale: alphaScale };
+}
+
+// Route pointer events (or plain mouse events on old browsers) to the drawing handlers
+function setupCanvasInput() {
+    // Flag to track mouse state
+    isMouseDown = false;
+    
+    if (!window.PointerEvent) {
+        canvas.addEventListener('mousedown', onCanvasDown);
+        canvas.addEventListener('mousemove', onCanvasMove);
+        canvas.addEventListener('mouseup', onCanvasUp);
+        canvas.addEventListener('mouseleave', function() {
+            clearEraserHover();
+            onCanvasUp();
+        });
+        return;
+    }
+    
+    canvas.addEventListener('pointerdown', function(event) {
+        if (event.pointerType === 'pen') {
+            lastPenTime = event.timeStamp;
+        }
+        
+        // One pointer draws at a time; extra fingers and palms are ignored
+        if (activePointerId !== null || isPalmTouch(event)) return;
+        if (event.pointerType === 'mouse' && event.button !== 0 && event.button !== 1) return;
+        
+        activePointerId = event.pointerId;
+        
+        // Pens and fingers keep drawing when they slide off the canvas, like a real page.
+        // The mouse stops at the edge as it always has, except while panning
+        if (event.pointerType !== 'mouse' || event.button === 1 || spaceHeld) {
+            canvas.setPointerCapture(event.pointerId);
+        }
+        event.preventDefault();
+        onCanvasDown(event);
+    });
+    
+    canvas.addEventListener('pointermove', function(event) {
+        if (event.pointerType === 'pen') {
+            lastPenTime = event.timeStamp;
+        }
+        if (activePointerId !== null && event.pointerId !== activePointerId) return;
+        onCanvasMove(event);
+    });
+    
+    const endPointer = function(event) {
+        if (event.pointerId !== activePointerId) return;
+        activePointerId = null;
+        onCanvasUp();
+    };
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+    canvas.addEventListener('pointerleave', function(event) {
+        clearEraserHover();
+        if (event.pointerId !== activePointerId) return;
+        endPointer(event);
+    });
+}
+
+// Initialize everything when page loads
+window.onload = function() {
+    // Setup WebGL
+    gl = setupWebGL();
+    if (!gl) return;
+    
+    // Connect variables to GLSL
+    connectVariablesToGLSL();
+    
+    // Start with a single empty layer
+    layers = [createLayer('Layer 1')];
+    setActiveLayer(0);
+    overlayBatch = new ShapeBatch();
+    
+    // Size the canvas to its container and keep it that way
+    setupResponsiveCanvas();
+    
+    // Mouse, pen and touch drawing
+    setupCanvasInput();
+    setupCameraControls();
+    
+    // Set up UI controls
+    document.getElementById('pointsBtn').addEventListener('click', function() {
+        currentShapeType = 'point';
+        updateButtonSelection('pointsBtn');
+    });
+    
+    document.getElementById('trianglesBtn').addEventListener('click', function() {
+        currentShapeType = 'triangle';
+        updateButtonSelection('trianglesBtn');
+    });
+    
+    document.getElementById('circlesBtn').addEventListener('click', function() {
+        currentShapeType = 'circle';
+        updateButtonSelection('circlesBtn');
+    });
+    
+    // Outline shape tools
+    const shapeToolButtons = {
+        rectangleBtn: 'rectangle',
+        rotatedRectangleBtn: 'rotatedRectangle',
+        ellipseBtn: 'ellipse',
+        ngonBtn: 'ngon',
+        starBtn: 'star',
+        polygonBtn: 'polygon'
+    };
+    Object.entries(shapeToolButtons).forEach(([btnId, tool]) => {
+        document.getElementById(btnId).addEventListener('click', function() {
+            currentShapeType = tool;
+            updateButtonSelection(btnId);
+        });
+    });
+    canvas.addEventListener('dblclick', function() {
+        if (currentShapeType === 'polygon') {
+            finishPolygon();
+        }
+    });
+    
+    document.getElementById('fillBtn').addEventListener('click', function() {
+        currentShapeType = 'fill';
+        updateButtonSelection('fillBtn');
+    });
+    
+    document.getElementById('eyedropperBtn').addEventListener('click', function() {
+        currentShapeType = 'eyedropper';
+        updateButtonSelection('eyedropperBtn');
+    });
+    
+    document.getElementById('eraserBtn').addEventListener('click', function() {
+        currentShapeType = 'eraser';
+        updateButtonSelection('eraserBtn');
+    });
+    
+    document.getElementById('selectBtn').addEventListener('click', function() {
+        currentShapeType = 'select';
+        updateButtonSelection('selectBtn');
+    });
+    
+    document.getElementById('deleteSelectionBtn').addEventListener('click', deleteSelection);
+    document.getElementById('recolorSelectionBtn').addEventListener('click', recolorSelection);
+    
+    document.getElementById('clearCanvas').addEventListener('click', function() {
+        replaceShapes([]);
+    });
+    
+    document.getElementById('addLayerBtn').addEventListener('click', addLayer);
+    document.getElementById('deleteLayerBtn').addEventListener('click', deleteLayer);
+    document.getElementById('renameLayerBtn').addEventListener('click', function() {
+        renameLayer(activeLayerIndex);
+    });
+    document.getElementById('layerUpBtn').addEventListener('click', function() {
+        moveLayer(1);
+    });
+    document.getElementById('layerDownBtn').addEventListener('click', function() {
+        moveLayer(-1);
+    });
+    document.getElementById('mergeLayerBtn').addEventListener('click', mergeLayerDown);
+    
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    
+    // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo
+    document.addEventListener('keydown', function(event) {
+        // Leave typing in text fields alone
+        if (isTypingTarget(event.target)) return;
+        
+        if (SHAPE_TOOLS.includes(currentShapeType)) {
+            if (event.key === 'Enter') {
+                finishPolygon();
+            } else if (event.key === 'Escape') {
+                cancelShapeTool();
+            } else if (event.key === 'Backspace' && polygonDraft) {
+                event.preventDefault();
+                removeLastPolygonPoint();
+            }
+        }
+        
+        if (currentShapeType === 'select') {
+            if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                deleteSelection();
+            } else if (event.key === 'Escape') {
+                clearSelection();
+                renderAllShapes();
+            }
+        }
+        
+        if (!(event.ctrlKey || event.metaKey)) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            event.preventDefault();
+            redo();
+        }
+    });
+    
+    document.getElementById('drawPicture').addEventListener('click', function() {
+        drawPicture();
+        
+        // Show the reference image section
+        document.getElementById('inspirationImage').style.display = 'block';
+        
+        // Use full URLs since these work when directly entered
+        document.getElementById('lineDrawingReference').src = "https://slugcodeprojects2024.github.io/webgl-painting/Frylock%20linework.jpg";
+        document.getElementById('colorReference').src = "https://slugcodeprojects2024.github.io/webgl-painting/Frylock%20reference.png";
+    });
+    
+    // Add event listeners for the advanced feature buttons
+    document.getElementById('downloadBtn').addEventListener('click', function() {
+        saveCanvasAsImage();
+    });
+    
+    document.getElementById('exportScale').addEventListener('change', function() {
+        document.getElementById('exportCustomSize').style.display = this.value === 'custom' ? 'inline-block' : 'none';
+    });
+    
+    document.getElementById('exportPngBtn').addEventListener('click', function() {
+        const size = getExportSize();
+        if (!Number.isInteger(size) || size < 1) {
+            alert('Enter an export size in pixels');
+            return;
+        }
+        if (size > MAX_EXPORT_SIZE) {
+            alert(`PNG exports can be at most ${MAX_EXPORT_SIZE} pixels across`);
+            return;
+        }
+        exportHighResPNG(size, document.getElementById('exportTransparent').checked);
+    });
+    
+    document.getElementById('exportSvgBtn').addEventListener('click', function() {
+        saveCanvasAsSVG();
+    });
+    
+    document.getElementById('exportTimelapseBtn').addEventListener('click', exportTimelapse);
+    document.getElementById('cancelTimelapseBtn').addEventListener('click', cancelTimelapseExport);
+    
+    document.getElementById('saveProjectBtn').addEventListener('click', function() {
+        saveProject();
+    });
+    
+    const stampFileInput = document.getElementById('stampFileInput');
+    document.getElementById('loadStampBtn').addEventListener('click', function() {
+        stampFileInput.click();
+    });
+    stampFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            openStampFile(this.files[0]);
+        }
+        this.value = '';
+    });
+    
+    const projectFileInput = document.getElementById('projectFileInput');
+    document.getElementById('openProjectBtn').addEventListener('click', function() {
+        projectFileInput.click();
+    });
+    projectFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            openProject(this.files[0]);
+        }
+        
+        // Allow the same file to be picked again
+        this.value = '';
+    });
+    
+    // Color picker, recent colors and palettes
+    document.getElementById('newPaletteBtn').addEventListener('click', createPalette);
+    document.getElementById('deletePaletteBtn').addEventListener('click', deletePalette);
+    document.getElementById('addToPaletteBtn').addEventListener('click', addColorToPalette);
+    document.getElementById('paletteSelect').addEventListener('change', function() {
+        updatePalettePanel(this.value);
+    });
+    document.getElementById('exportPaletteJsonBtn').addEventListener('click', function() {
+        exportPalette('json');
+    });
+    document.getElementById('exportPaletteGplBtn').addEventListener('click', function() {
+        exportPalette('gpl');
+    });
+    const paletteFileInput = document.getElementById('paletteFileInput');
+    document.getElementById('importPaletteBtn').addEventListener('click', function() {
+        paletteFileInput.click();
+    });
+    paletteFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importPalette(this.files[0]);
+        }
+        this.value = '';
+    });
+    
+    // Setup slider value displays
+    setupSliderValueUpdates();
+    setupColorPicker();
+    loadStoredColors();
+    setupDynamicsPanel();
+    setupSymmetryControls();
+    setupGridControls();
+    setupAutosave();
+    setupRecordingControls();
+    setupScenePanel();
+    setupSceneScriptEditor();
+    updateHistoryButtons();
+    
+    // Initial render
+    renderAllShapes();
+};
+
+// Update slider value displays
+function setupSliderValueUpdates() {
+    const sliders = [
+        { slider: 'redSlider', value: 'redValue' },
+        { slider: 'greenSlider', value: 'greenValue' },
+        { slider: 'blueSlider', value: 'blueValue' },
+        { slider: 'sizeSlider', value: 'sizeValue' },
+        { slider: 'segmentsSlider', value: 'segmentsValue' },
+        { slider: 'alphaSlider', value: 'alphaValue' },
+        { slider: 'fillToleranceSlider', value: 'fillToleranceValue' },
+        { slider: 'sidesSlider', value: 'sidesValue' },
+        { slider: 'starRatioSlider', value: 'starRatioValue' },
+        { slider: 'gradientAngleSlider', value: 'gradientAngleValue' },
+        { slider: 'hardnessSlider', value: 'hardnessValue' },
+        { slider: 'spacingSlider', value: 'spacingValue' },
+        { slider: 'dynamicsCycleSlider', value: 'dynamicsCycleValue' },
+        { slider: 'hueJitterSlider', value: 'hueJitterValue' },
+        { slider: 'sizeJitterSlider', value: 'sizeJitterValue' },
+        { slider: 'alphaJitterSlider', value: 'alphaJitterValue' },
+        { slider: 'symmetrySegmentsSlider', value: 'symmetrySegmentsValue' },
+        { slider: 'gridSpacingSlider', value: 'gridSpacingValue' }
+    ];
+    
+    sliders.forEach(item => {
+        const slider = document.getElementById(item.slider);
+        const valueDisplay = document.getElementById(item.value);
+        
+        if (slider && valueDisplay) {
+            // Update initial value
+            valueDisplay.textContent = slider.value;
+            
+            // Add event listener for changes
+            slider.addEventListener('input', function() {
+                valueDisplay.textContent = this.value;
+            });
+        }
+    });
+}
+
+// Update button selection visual
+function updateButtonSelection(selectedBtnId) {
+    // Switching tools abandons a half-drawn shape
+    if (shapeToolDrag || polygonDraft) {
+        cancelShapeTool();
+    }
+    
+    // Leaving the select tool drops the selection
+    if (selectedBtnId !== 'selectBtn' && selectedShapes.length > 0) {
+        clearSelection();
+        renderAllShapes();
+    }
+    document.getElementById('selectionActions').style.display = selectedBtnId === 'selectBtn' ? 'flex' : 'none';
+    
+    const buttons = [
+        'pointsBtn', 'trianglesBtn', 'circlesBtn',
+        'rectangleBtn', 'rotatedRectangleBtn', 'ellipseBtn', 'ngonBtn', 'starBtn', 'polygonBtn',
+        'fillBtn', 'eyedropperBtn', 'eraserBtn', 'selectBtn'
+    ];
+    buttons.forEach(btnId => {
+        document.getElementById(btnId).classList.remove('selected');
+    });
+    document.getElementById(selectedBtnId).classList.add('selected');
+}
+
+// Simple mini-game functionality
+document.getElementById('startGameBtn').addEventListener('click', function() {
+    if (gameRunning) return;
+    alert("Starting Shape Catcher mini-game!");
+    
+    // The game draws over the canvas every frame and leaves the painting alone,
+    // so there's nothing to save or to put in the undo history
+    gameRunning = true;
+    updateHistoryButtons();
+    
+    // Game variables
+    let score = 0;
+    let gameTime = 30; // seconds
+    let gameActive = true;
+    let fallingShapes = [];
+    const gameBatch = new ShapeBatch();
+    
+    // Create game UI
+    const gameUI = document.createElement('div');
+    gameUI.id = 'gameUI';
+    gameUI.style.position = 'absolute';
+    gameUI.style.top = '20px';
+    gameUI.style.left = '50%';
+    gameUI.style.transform = 'translateX(-50%)';
+    gameUI.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    gameUI.style.color = 'white';
+    gameUI.style.padding = '10px';
+    gameUI.style.borderRadius = '5px';
+    gameUI.style.zIndex = '1000';
+    
+    const scoreDisplay = document.createElement('div');
+    scoreDisplay.textContent = 'Score: 0';
+    gameUI.appendChild(scoreDisplay);
+    
+    const timeDisplay = document.createElement('div');
+    timeDisplay.textContent = 'Time: 30s';
+    gameUI.appendChild(timeDisplay);
+    
+    document.body.appendChild(gameUI);
+    
+    // Create a basket
+    const basket = {
+        x: 0,
+        y: -0.8,
+        width: 0.2,
+        height: 0.1
+    };
+    
+    // Move basket with mouse
+    function moveBasket(event) {
+        if (!gameActive) return;
+        
+        const coords = canvasToGLCoord(event.clientX, event.clientY);
+        basket.x = coords.x;
+    }
+    
+    const moveEvent = window.PointerEvent ? 'pointermove' : 'mousemove';
+    canvas.addEventListener(moveEvent, moveBasket);
+    
+    // Spawn a falling shape
+    function spawnShape() {
+        const x = Math.random() * 1.8 - 0.9;
+        const y = 1.0;
+        
+        const r = Math.random();
+        const g = Math.random();
+        const b = Math.random();
+        
+        fallingShapes.push({
+            x: x,
+            y: y,
+            type: Math.random() > 0.5 ? 'circle' : 'triangle',
+            color: [r, g, b],
+            size: Math.random() * 15 + 5,
+            speed: Math.random() * 0.01 + 0.005
+        });
+    }
+    
+    // Update and render the game
+    function gameLoop() {
+        if (!gameActive) return;
+        
+        // Clear canvas
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        
+        // Draw basket
+        const basketVertices = [
+            [basket.x - basket.width/2, basket.y - basket.height/2],
+            [basket.x - basket.width/2, basket.y + basket.height/2],
+            [basket.x + basket.width/2, basket.y + basket.height/2],
+            
+            [basket.x - basket.width/2, basket.y - basket.height/2],
+            [basket.x + basket.width/2, basket.y + basket.height/2],
+            [basket.x + basket.width/2, basket.y - basket.height/2]
+        ];
+        
+        // Everything for this frame goes into one batch
+        gameBatch.clear();
+        gameBatch.append(new Triangle(basketVertices.slice(0, 3), [1.0, 1.0, 1.0], 10, 1.0));
+        gameBatch.append(new Triangle(basketVertices.slice(3), [1.0, 1.0, 1.0], 10, 1.0));
+        
+        // Update falling shapes
+        for (let i = fallingShapes.length - 1; i >= 0; i--) {
+            const shape = fallingShapes[i];
+            
+            // Move shape down
+            shape.y -= shape.speed;
+            
+            // Draw shape
+            if (shape.type === 'circle') {
+                gameBatch.append(new Circle(shape.x, shape.y, shape.color, shape.size, 12, 1.0));
+            } else {
+                const sideLength = shape.size / 100;
+                const height = sideLength * Math.sqrt(3) / 2;
+                
+                const vertices = [
+                    [shape.x, shape.y + height/2],
+                    [shape.x - sideLength/2, shape.y - height/2],
+                    [shape.x + sideLength/2, shape.y - height/2]
+                ];
+                
+                gameBatch.append(new Triangle(vertices, shape.color, shape.size, 1.0));
+            }
+            
+            // Check if caught by basket
+            if (shape.y <= basket.y + basket.height/2 && 
+                shape.y >= basket.y - basket.height/2 &&
+                shape.x >= basket.x - basket.width/2 &&
+                shape.x <= basket.x + basket.width/2) {
+                
+                // Caught! Add score
+                score += 10;
+                scoreDisplay.textContent = `Score: ${score}`;
+                
+                // Remove shape
+                fallingShapes.splice(i, 1);
+                continue;
+            }
+            
+            // Remove shapes that are off-screen
+            if (shape.y < -1.2) {
+                fallingShapes.splice(i, 1);
+            }
+        }
+        
+        gameBatch.draw();
+        
+        // Occasionally spawn new shapes
+        if (Math.random() < 0.05) {
+            spawnShape();
+        }
+        
+        // Update game time
+        gameTime -= 1/60; // Assuming 60fps
+        if (gameTime <= 0) {
+            endGame();
+            return;
+        }
+        
+        timeDisplay.textContent = `Time: ${Math.ceil(gameTime)}s`;
+        
+        // Continue game loop
+        requestAnimationFrame(gameLoop);
+    }
+    
+    function endGame() {
+        gameActive = false;
+        
+        // Show final score
+        alert(`Game Over! Your score: ${score}`);
+        
+        // Remove game UI
+        document.body.removeChild(gameUI);
+        
+        // Remove event listener
+        canvas.removeEventListener(moveEvent, moveBasket);
+        gameBatch.dispose();
+        
+        // Bring the painting back
+        gameRunning = false;
+        updateHistoryButtons();
+        renderAllShapes();
+    }
+    
+    // Start the game loop
+    gameLoop();
 });
\ No newline at end of file